@@ -1,87 +1,369 @@
+import { Agent, EventFunction, GameInstance, noop, TrackedEvent } from "regal";
+import { abilityList, findAbility } from "./agents";
+import { failCommand, GAME_VERSION, on, simpleCap, State } from "./common";
 import {
-    Agent,
-    EventFunction,
-    GameInstance,
-    noop,
-    RegalError,
-    TrackedEvent
-} from "regal";
-import { abilityList } from "./agents";
-import { on, simpleCap, State } from "./common";
-import { promptSacrifice } from "./events";
+    checkVitals,
+    describeHolding,
+    init,
+    promptSacrifice,
+    summarizeAbilities
+} from "./events";
+import { HAND_CAPACITY, handsAreFull, isHolding } from "./inventory";
+import {
+    Command,
+    editDistance,
+    normalize,
+    parseCommand,
+    PARTICLES,
+    PREPOSITIONS,
+    tokenize
+} from "./parser";
+import { hasAction, removeGroup } from "./registry";
+import { recordCommand, scoreEvaluation, totalScore } from "./scoring";
 
 interface MatchResult<T> {
     match: boolean;
     result?: T;
 }
 
-type MatchCheck<T, ActionType = Action> = (
-    action: ActionType,
-    command: string,
+type MatchCheck<T> = (
+    action: Action<T>,
+    command: Command,
     game?: GameInstance<State>
 ) => MatchResult<T>;
 
-const checkAliases = <T>(
-    matchCheck: MatchCheck<T, string>
-): MatchCheck<T, Action> => {
-    return (action, command, game) => {
-        let mr = matchCheck(action.name, command, game);
+const matchesVerb = (action: Action<any>, command: Command) =>
+    action.aliases.some(alias => normalize(alias) === command.verb);
+
+/** Matches a command that consists of nothing but one of the action's verbs. */
+export const matchBareVerb: MatchCheck<void> = (action, command) => ({
+    match: matchesVerb(action, command) && command.args.length === 0
+});
+
+/**
+ * Something the player can do. `aliases` holds every verb that can trigger
+ * the action, while `name` describes it for debugging. `nouns` holds the
+ * names of each thing the action refers to, primary name first, so that an
+ * ambiguous command can be narrowed down to it. `usage` describes how to use
+ * an action that doesn't refer to any things. `actionId` identifies the
+ * action in the registry, where only one action may have a given ID.
+ * `preposition` joins the things an action refers to when it's listed, as
+ * in "put: nail in cup".
+ */
+export class Action<T = void> extends Agent {
+    /** The group the action is registered under, as set by `addActions`. */
+    public group: string;
+
+    constructor(
+        public name: string,
+        public aliases: string[],
+        public matchCheck: MatchCheck<T>,
+        public effect: (result: T) => TrackedEvent<State>,
+        public nouns: string[][] = [],
+        public usage: string = aliases[0],
+        public actionId: string = name,
+        public preposition: string = "on"
+    ) {
+        super();
+    }
+}
+
+/**
+ * Describes what the action is used on, as in "left cup" or "nails on cups".
+ * Returns `undefined` for actions that aren't used on anything.
+ */
+const describeTarget = (action: Action<any>) => {
+    const [subject, object] = action.nouns.map(names => names[0]);
+    if (subject === undefined || object === undefined) {
+        return subject;
+    }
+    return PARTICLES.includes(object)
+        ? `${subject} ${object}`
+        : `${subject} ${action.preposition} ${object}`;
+};
+
+/** One of the things an ambiguous command might have meant. */
+export interface Candidate {
+    /** The ambiguous noun, as in "cup". */
+    noun: string;
+    /** The thing's primary name, as in "left cup". */
+    name: string;
+    /** The command with the ambiguous noun replaced by `name`. */
+    command: string;
+}
+
+const ORDINALS = ["first", "second", "third", "fourth", "fifth"];
+
+/** Words that a player might add to an answer without narrowing it down. */
+const FILLER_WORDS = ["one", "ones", "i", "mean", "meant"];
+
+const replacePhrase = (tokens: string[], phrase: string, replacement: string) =>
+    ` ${tokens.join(" ")} `.replace(` ${phrase} `, ` ${replacement} `).trim();
 
-        if (mr.match) {
-            return mr;
+/** Returns the primary name of the thing that the command mentioned first. */
+const findReferent = (action: Action<any>, command: Command) => {
+    for (const phrase of [command.directObject, command.indirectObject]) {
+        const names = action.nouns.find(n => n.includes(phrase));
+        if (names !== undefined) {
+            return names[0];
         }
+    }
+    return undefined;
+};
 
-        for (const alias of action.aliases) {
-            mr = matchCheck(alias, command, game);
-            if (mr.match) {
-                return mr;
+/**
+ * Every action the player can use right now. Meta actions come first, so
+ * that no room action can shadow them.
+ */
+export const usableActions = (game: GameInstance<State>) => [
+    ...game.state.metaActions,
+    ...game.state.availableActions
+];
+
+/** A usable action that matched a command, and what its check found. */
+export interface Match {
+    action: Action<any>;
+    command: Command;
+    result: any;
+}
+
+/**
+ * Returns the first usable action that matches the command, if any.
+ * Matching has no side effects, so it can be used to test a command.
+ */
+export const findMatch = (
+    game: GameInstance<State>,
+    command: Command
+): Match | undefined => {
+    for (const action of usableActions(game)) {
+        const rm = action.matchCheck(action, command, game);
+        if (rm.match) {
+            return { action, command, result: rm.result };
+        }
+    }
+    return undefined;
+};
+
+/** Runs a matched action, and remembers what it referred to. */
+export const dispatch = (game: GameInstance<State>, match: Match) => {
+    const { action, command, result } = match;
+    game.output.writeDebug(`Match: ${action.name}`);
+
+    // Only commands that act on something count against the chamber
+    if (action.nouns.length > 0) {
+        recordCommand(game);
+    }
+
+    const referent = findReferent(action, command);
+    if (referent !== undefined) {
+        game.state.referent = referent;
+    }
+    return action.effect(result);
+};
+
+/**
+ * Finds every thing that the command's objects might refer to when they're
+ * only part of a name, like "cup" for "left cup". Each candidate holds a
+ * rewritten command that matches an available action.
+ */
+export const disambiguate = (
+    game: GameInstance<State>,
+    command: Command,
+    verbs: string[]
+): Candidate[] => {
+    const candidates: Candidate[] = [];
+
+    for (const phrase of [command.directObject, command.indirectObject]) {
+        if (phrase === "") {
+            continue;
+        }
+        const words = phrase.split(" ");
+
+        for (const action of game.state.availableActions) {
+            if (!matchesVerb(action, command)) {
+                continue;
+            }
+
+            for (const names of action.nouns) {
+                const partial = names.some(name =>
+                    words.every(word => name.split(" ").includes(word))
+                );
+
+                if (
+                    !partial ||
+                    names.includes(phrase) ||
+                    candidates.some(c => c.name === names[0])
+                ) {
+                    continue;
+                }
+
+                const rewritten = replacePhrase(
+                    command.tokens,
+                    phrase,
+                    names[0]
+                );
+                if (
+                    action.matchCheck(
+                        action,
+                        parseCommand(rewritten, verbs),
+                        game
+                    ).match
+                ) {
+                    candidates.push({
+                        noun: phrase,
+                        name: names[0],
+                        command: rewritten
+                    });
+                }
             }
         }
+    }
 
-        return { match: false };
-    };
+    return candidates;
 };
 
-const strMatch: MatchCheck<void, string> = (action, command, game) => {
-    const cmdLower = command.toLocaleLowerCase();
-    return {
-        match: action.toLocaleLowerCase() === cmdLower
-    };
+/**
+ * Asks the player which candidate they meant and remembers the candidates.
+ * The question fails the command, so a compound command stops to wait for
+ * the answer.
+ */
+export const askWhich = (candidates: Candidate[]) =>
+    on("ASK WHICH", game => {
+        const names = candidates.map(c => `the ${c.name}`);
+        const last = names.pop();
+
+        failCommand(
+            game,
+            `Which ${candidates[0].noun} do you mean: ${names.join(
+                ", "
+            )} or ${last}?`
+        );
+        game.state.candidates = candidates;
+    });
+
+/**
+ * Resolves an answer to the last `askWhich` question, like "left" or
+ * "the second one", into the command it completes. Any pending question
+ * is forgotten either way.
+ */
+export const resolveAnswer = (
+    game: GameInstance<State>,
+    answer: string
+): string | undefined => {
+    const candidates = game.state.candidates;
+    game.state.candidates = [];
+
+    const words = tokenize(answer).filter(word => !FILLER_WORDS.includes(word));
+    if (candidates.length === 0 || words.length === 0) {
+        return undefined;
+    }
+
+    for (const word of words) {
+        let idx = ORDINALS.indexOf(word);
+        if (idx === -1 && /^[0-9]+(st|nd|rd|th)?$/.test(word)) {
+            idx = parseInt(word, 10) - 1;
+        }
+        if (word === "last") {
+            idx = candidates.length - 1;
+        }
+        if (idx >= 0 && idx < candidates.length) {
+            return candidates[idx].command;
+        }
+    }
+
+    const matches = candidates.filter(c =>
+        words.every(word => c.name.split(" ").includes(word))
+    );
+    return matches.length === 1 ? matches[0].command : undefined;
 };
 
-const matchBeginning: MatchCheck<void, string> = (action, command, game) => {
-    const cmdLower = command.toLocaleLowerCase();
-    return {
-        match: cmdLower.startsWith(action.toLocaleLowerCase())
-    };
+/** How many typos are forgiven in a word, depending on its length. */
+const allowedTypos = (word: string) =>
+    word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2;
+
+/**
+ * Corrects any misspelled words in a command, using the verbs and names of
+ * the available actions. Words that aren't close to exactly one known word
+ * are left alone. Returns `undefined` if nothing was corrected.
+ */
+export const correctSpelling = (
+    game: GameInstance<State>,
+    raw: string,
+    verbs: string[]
+): string | undefined => {
+    const phrases = verbs.concat(
+        ...game.state.availableActions.map(a => [].concat(...a.nouns))
+    );
+    const vocabulary = [].concat(...phrases.map(tokenize), PREPOSITIONS);
+
+    let corrected = false;
+    const words = tokenize(raw).map(word => {
+        if (vocabulary.includes(word)) {
+            return word;
+        }
+
+        const distances = vocabulary.map(known => editDistance(word, known));
+        const best = Math.min(...distances);
+        const closest = vocabulary.filter((_, idx) => distances[idx] === best);
+
+        if (best > allowedTypos(word) || new Set(closest).size > 1) {
+            return word;
+        }
+        corrected = true;
+        return closest[0];
+    });
+
+    return corrected ? words.join(" ") : undefined;
 };
 
-export const removeAction = (
+/**
+ * Returns up to `limit` example commands for the available actions that
+ * look the most like the player's command.
+ */
+export const suggestCommands = (
     game: GameInstance<State>,
-    actionName: string,
-    allowFail: boolean = false
+    raw: string,
+    limit: number = 3
 ) => {
-    const idx = game.state.availableActions.findIndex(
-        a => a.name === actionName
-    );
+    const typed = normalize(raw);
+    const suggestions: Array<{ example: string; distance: number }> = [];
 
-    if (idx === -1 && !allowFail) {
-        throw new RegalError("Action doesn't exist.");
+    if (typed === "") {
+        return [];
     }
 
-    game.state.availableActions.splice(idx, 1);
-};
+    for (const action of usableActions(game)) {
+        const target = describeTarget(action);
 
-export class Action<T = void> extends Agent {
-    constructor(
-        public name: string,
-        public aliases: string[],
-        public matchCheck: MatchCheck<T, Action>,
-        public effect: (result: T) => TrackedEvent<State>
-    ) {
-        super();
+        // Actions that take arguments, like sacrifice, are shown with their usage
+        const args =
+            target === undefined
+                ? action.usage.slice(action.aliases[0].length)
+                : ` ${target}`;
+
+        for (const alias of action.aliases) {
+            const distance = editDistance(
+                typed,
+                normalize(target === undefined ? alias : `${alias} ${target}`)
+            );
+            const example = `${alias}${args}`;
+
+            // Suggesting what the player already typed wouldn't help them
+            if (
+                distance > 0 &&
+                distance <= Math.max(2, Math.floor(typed.length / 3)) &&
+                !suggestions.some(s => s.example === example)
+            ) {
+                suggestions.push({ example, distance });
+            }
+        }
     }
-}
+
+    return suggestions
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(s => s.example);
+};
 
 export class SimpleAction extends Action {
     constructor(
@@ -91,31 +373,32 @@ export class SimpleAction extends Action {
         targetAliases: string[],
         effect: EventFunction<State>
     ) {
-        const allNames = [targetName]
-            .concat(targetAliases)
-            .map(str => str.toLocaleLowerCase());
+        const allNames = [targetName].concat(targetAliases).map(normalize);
 
         super(
             `${actionName} '${targetName}'`,
             [actionName].concat(actionAliases),
-            checkAliases((action, command, game) => {
-                if (matchBeginning(action, command).match) {
-                    const cmdLower = command.toLocaleLowerCase();
+            (action, command) => {
+                // The target may be introduced by a preposition, as in "look at the door"
+                const target =
+                    command.directObject !== ""
+                        ? command.directObject
+                        : command.indirectObject;
 
-                    for (const name of allNames) {
-                        if (cmdLower.includes(name)) {
-                            return { match: true };
-                        }
-                    }
-                }
-
-                return { match: false };
-            }),
+                return {
+                    match:
+                        matchesVerb(action, command) &&
+                        allNames.includes(target)
+                };
+            },
             () =>
                 on(
                     `${actionName.toLocaleUpperCase()} <${targetName.toLocaleUpperCase()}>`,
                     effect
-                )
+                ),
+            [allNames],
+            undefined,
+            `${actionName}:${targetName}`
         );
     }
 }
@@ -129,52 +412,50 @@ export class SubjectObjectAction extends Action {
         objectName: string,
         objectAliases: string[],
         requireHolding: boolean,
-        effect: EventFunction<State>
+        effect: EventFunction<State>,
+        preposition = "on"
     ) {
         const subjectNames = [subjectName]
             .concat(subjectAliases)
-            .map(s => s.toLocaleLowerCase());
-        const objectNames = [objectName]
-            .concat(objectAliases)
-            .map(s => s.toLocaleLowerCase());
+            .map(normalize);
+        const objectNames = [objectName].concat(objectAliases).map(normalize);
 
         super(
             `${actionName} '${subjectName}' -> '${objectName}'`,
             [actionName].concat(actionAliases),
-            checkAliases((action, command, game) => {
-                if (matchBeginning(action, command).match) {
-                    const cmdLower = command.toLocaleLowerCase();
-
-                    for (const subject of subjectNames) {
-                        const idx = cmdLower.indexOf(subject);
-
-                        if (idx > -1) {
-                            for (const object of objectNames) {
-                                if (cmdLower.indexOf(object) > idx) {
-                                    return { match: true };
-                                }
-                            }
-                        }
-                    }
-                }
-                return { match: false };
-            }),
+            (action, command) => {
+                // The object may be a trailing particle, as in "put the cup down"
+                const object =
+                    command.indirectObject !== ""
+                        ? command.indirectObject
+                        : command.particle;
+
+                return {
+                    match:
+                        matchesVerb(action, command) &&
+                        subjectNames.includes(command.directObject) &&
+                        objectNames.includes(object)
+                };
+            },
             () =>
                 on(
                     `${actionName.toLocaleUpperCase()} <${subjectName.toLocaleUpperCase()}> -> <${objectName.toLocaleUpperCase()}>`,
                     game => {
-                        if (
-                            requireHolding &&
-                            !subjectNames.includes(game.state.holding)
-                        ) {
-                            game.output.writeNormal(
-                                `You have to be holding '${subjectName}' before you can do that.`
+                        if (requireHolding && !isHolding(game, subjectNames)) {
+                            failCommand(
+                                game,
+                                `You have to be holding the ${subjectName} before you can do that.`
                             );
+                            return noop;
                         }
 
                         return on("ef", effect);
                     }
-                )
+                ),
+            [subjectNames, objectNames],
+            undefined,
+            `${actionName}:${subjectName}:${objectName}`,
+            preposition
         );
     }
 }
@@ -187,7 +468,91 @@ export class ExamineAction extends SimpleAction {
     ) {
         super(
             "examine",
-            ["look", "check", "observe"],
+            ["look", "look at", "check", "observe", "inspect"],
+            targetName,
+            targetAliases,
+            effect
+        );
+    }
+}
+
+export class SmellAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super("smell", ["sniff", "whiff"], targetName, targetAliases, effect);
+    }
+}
+
+export class TouchAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super(
+            "touch",
+            ["feel", "poke", "dip finger", "dip a finger", "dip your finger"],
+            targetName,
+            targetAliases,
+            effect
+        );
+    }
+}
+
+export class TasteAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super("taste", ["lick", "sip"], targetName, targetAliases, effect);
+    }
+}
+
+export class DrinkAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super(
+            "drink",
+            ["chug", "gulp", "swallow"],
+            targetName,
+            targetAliases,
+            effect
+        );
+    }
+}
+
+export class EatAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super(
+            "eat",
+            ["consume", "munch", "bite"],
+            targetName,
+            targetAliases,
+            effect
+        );
+    }
+}
+
+export class DropAction extends SimpleAction {
+    constructor(
+        targetName: string,
+        targetAliases: string[],
+        effect: EventFunction<State>
+    ) {
+        super(
+            "drop",
+            ["put down", "put back", "put away", "set down"],
             targetName,
             targetAliases,
             effect
@@ -218,17 +583,14 @@ export class PickupAction extends SimpleAction {
             targetName,
             targetAliases,
             game => {
-                if (game.state.holding !== undefined) {
-                    if (targetNames.includes(game.state.holding)) {
-                        game.output.writeNormal("You're already holding that!");
-                    } else {
-                        game.output.writeNormal(
-                            `You can't pick that up until you set the ${
-                                game.state.holding
-                            } down.`
-                        );
-                    }
-
+                if (isHolding(game, targetNames)) {
+                    failCommand(game, "You're already holding that!");
+                    return noop;
+                } else if (handsAreFull(game)) {
+                    failCommand(
+                        game,
+                        `You can only carry ${HAND_CAPACITY} things at once. You'll have to put something down first.`
+                    );
                     return noop;
                 } else {
                     return on(
@@ -243,27 +605,29 @@ export class PickupAction extends SimpleAction {
 
 export const sacrificeAbilityAction = new Action<string>(
     "sacrifice",
-    [],
-    checkAliases((action, command, game) => {
-        if (!matchBeginning(action, command).match) {
+    ["sacrifice"],
+    (action, command) => {
+        if (!matchesVerb(action, command)) {
             return { match: false };
         }
 
-        const arr = command.split(" ");
-        if (arr.length !== 2) {
-            game.output.writeMajor(
-                "Illegal use of 'sacrifice' command. Usage: 'sacrifice <ABILITY_NAME>'"
-            );
-            return { match: false };
+        if (command.args.length !== 1) {
+            return { match: true };
         }
 
         return {
             match: true,
-            result: arr[1].toLocaleLowerCase()
+            result: command.args[0]
         };
-    }),
+    },
     ability =>
         on("SACRIFICE ABILITY", game => {
+            if (ability === undefined) {
+                failCommand(game, "Illegal use of 'sacrifice' command.");
+                game.output.writeMinor("Usage: 'sacrifice <ABILITY_NAME>'");
+                return noop;
+            }
+
             for (const ab of abilityList(game.state.abilities)) {
                 if (ability === ab.name) {
                     if (ab.currentValue > 0) {
@@ -272,8 +636,13 @@ export const sacrificeAbilityAction = new Action<string>(
                                 ab.currentValue
                             } to ${--ab.currentValue}.`
                         );
-                        removeAction(game, "sacrifice");
-                        return game.state.currentRoom.onBegin;
+                        game.state.madeSacrifice = true;
+                        game.state.sacrifices.push({
+                            chamber: game.state.currentRoom.name,
+                            ability: ab.name
+                        });
+                        removeGroup(game, "sacrifice");
+                        return checkVitals(game.state.currentRoom.onBegin);
                     } else {
                         game.output.writeNormal(
                             "That ability is already depleted. It can't go any lower!"
@@ -284,9 +653,328 @@ export const sacrificeAbilityAction = new Action<string>(
             }
             game.output.writeNormal(`The ability '${ability}' does not exist!`);
             return promptSacrifice;
+        }),
+    [],
+    "sacrifice <ABILITY_NAME>"
+);
+
+interface Reallocation {
+    from: string;
+    to: string;
+    points: number;
+}
+
+export const reallocateAbilityAction = new Action<Reallocation>(
+    "reallocate",
+    ["reallocate"],
+    (action, command) => {
+        if (!matchesVerb(action, command)) {
+            return { match: false };
+        }
+
+        // Allow 'reallocate from vision to hearing' as well as 'reallocate vision hearing'
+        const args = command.args.filter(arg => arg !== "from" && arg !== "to");
+
+        if (args.length < 2 || args.length > 3) {
+            return { match: true };
+        }
+
+        const points = args.length === 3 ? Number(args[2]) : 1;
+        if (!Number.isInteger(points) || points < 1) {
+            return { match: true };
+        }
+
+        return {
+            match: true,
+            result: { from: args[0], to: args[1], points }
+        };
+    },
+    realloc =>
+        on("REALLOCATE ABILITY", game => {
+            if (realloc === undefined) {
+                game.output.writeNormal(
+                    "You may move points from one ability to another, but one extra point is lost in the transfer."
+                );
+                game.output.writeMinor(
+                    "Usage: 'reallocate <FROM_ABILITY> <TO_ABILITY> [POINTS]'"
+                );
+                return summarizeAbilities;
+            }
+
+            const from = findAbility(game.state.abilities, realloc.from);
+            const to = findAbility(game.state.abilities, realloc.to);
+
+            if (from === undefined || to === undefined) {
+                const missing = from === undefined ? realloc.from : realloc.to;
+                game.output.writeNormal(
+                    `The ability '${missing}' does not exist!`
+                );
+                return noop;
+            }
+
+            if (from.name === to.name) {
+                game.output.writeNormal(
+                    "You can't reallocate points from an ability to itself."
+                );
+                return noop;
+            }
+
+            const cost = realloc.points + 1;
+
+            if (from.currentValue < cost) {
+                game.output.writeNormal(
+                    `Moving ${realloc.points} point(s) to ${
+                        to.name
+                    } costs ${cost} point(s) of ${from.name}, but ${
+                        from.name
+                    } only has ${from.currentValue}.`
+                );
+                return noop;
+            }
+
+            if (to.currentValue + realloc.points > to.maxValue) {
+                game.output.writeNormal(
+                    `${simpleCap(to.name)} can't go above ${
+                        to.maxValue
+                    }. It's currently at ${to.currentValue}.`
+                );
+                return noop;
+            }
+
+            const fromBefore = from.currentValue;
+            const toBefore = to.currentValue;
+            from.currentValue -= cost;
+            to.currentValue += realloc.points;
+
+            game.output.writeNormal(
+                `${simpleCap(from.name)} decreased from ${fromBefore} to ${
+                    from.currentValue
+                }.`,
+                `${simpleCap(to.name)} increased from ${toBefore} to ${
+                    to.currentValue
+                }.`
+            );
+
+            if (hasAction(game, "sacrifice")) {
+                game.output.writeMinor(
+                    "You must still sacrifice an ability point before you can begin."
+                );
+            }
+
+            return checkVitals(noop);
+        }),
+    [],
+    "reallocate <FROM_ABILITY> <TO_ABILITY> [POINTS]"
+);
+
+export const inventoryAction = new Action(
+    "inventory",
+    ["inventory", "i", "inv"],
+    matchBareVerb,
+    () =>
+        on("INVENTORY", game => {
+            if (game.state.inventory.length === 0) {
+                game.output.writeNormal("Your hands are empty.");
+                return noop;
+            }
+            return describeHolding;
+        })
+);
+
+export const RESTART_ALIASES = ["restart", "try again"];
+
+export const restartAction = new Action(
+    "restart",
+    RESTART_ALIASES,
+    matchBareVerb,
+    () => on("RESTART", game => init)
+);
+
+export const quitAction = new Action(
+    "quit",
+    ["quit", "exit", "give up"],
+    matchBareVerb,
+    () =>
+        on("QUIT", game => {
+            game.output.writeMajor("Thanks for playing!");
+            game.state.hasQuit = true;
+            game.output.writeMinor("Enter 'restart' to start a new game.");
+            game.state.availableActions = [];
+        })
+);
+
+/** Shows where the player is in the assessment and what their abilities are. */
+export const statusAction = new Action(
+    "status",
+    ["status", "abilities", "stats"],
+    matchBareVerb,
+    () =>
+        on("STATUS", game => {
+            const { chambers, chamberIndex } = game.state;
+
+            if (game.state.hasQuit) {
+                game.output.writeNormal("You gave up on the assessment.");
+            } else if (!game.state.isAlive) {
+                game.output.writeNormal("You have died.");
+            } else if (chamberIndex >= chambers.length) {
+                game.output.writeNormal("You've completed every chamber.");
+            } else {
+                game.output.writeNormal(
+                    `You're in chamber ${chamberIndex + 1} of ${
+                        chambers.length
+                    }: ${game.state.currentRoom.name}.`
+                );
+            }
+
+            return summarizeAbilities;
+        })
+);
+
+/** Describes the current chamber, whatever the player is in the middle of. */
+export const lookAction = new Action(
+    "look",
+    ["look around", "look", "l"],
+    matchBareVerb,
+    () =>
+        on("LOOK", game => {
+            if (game.state.hasQuit) {
+                game.output.writeNormal(
+                    "There's nothing left to see. You gave up on the assessment."
+                );
+                return noop;
+            }
+            if (!game.state.isAlive) {
+                game.output.writeNormal(
+                    "There's nothing left to see. You have died."
+                );
+                return noop;
+            }
+            if (game.state.chamberIndex >= game.state.chambers.length) {
+                game.output.writeNormal(
+                    "The chambers are behind you. There's only the long, white hallway."
+                );
+                return noop;
+            }
+
+            return game.state.currentRoom.onDescribe.then(describeHolding);
+        })
+);
+
+export const versionAction = new Action(
+    "version",
+    ["version"],
+    matchBareVerb,
+    () =>
+        on("VERSION", game => {
+            game.output.writeNormal(`Now Hiring, version ${GAME_VERSION}.`);
         })
 );
 
+/** Shows the seed of the current run, so that it can be replayed. */
+export const seedAction = new Action("seed", ["seed"], matchBareVerb, () =>
+    on("SEED", game => {
+        game.output.writeNormal(`This run's seed is '${game.options.seed}'.`);
+        game.output.writeMinor(
+            "Start a new game with the same seed to get the same puzzles."
+        );
+    })
+);
+
+/** Shows the player's aptitude score so far, chamber by chamber. */
+export const scoreAction = new Action(
+    "score",
+    ["score", "points"],
+    matchBareVerb,
+    () =>
+        on("SCORE", game => {
+            game.output.writeMajor(`Aptitude score: ${totalScore(game)}`);
+
+            for (const evaluation of game.state.evaluations) {
+                game.output.writeNormal(
+                    `${evaluation.chamber}: ${scoreEvaluation(evaluation)} (${
+                        evaluation.outcome
+                    })`
+                );
+            }
+
+            game.output.writeMinor(
+                "Chambers are scored on completion, experiments, hazards, the abilities you keep and how few commands you use."
+            );
+        })
+);
+
+/** Lists every verb that can be used right now, along with what it can be used on. */
+export const helpAction = new Action(
+    "help",
+    ["help", "commands"],
+    matchBareVerb,
+    () =>
+        on("HELP", game => {
+            // The room's verbs are listed ahead of the ones that always work
+            const actions = [
+                ...game.state.availableActions,
+                ...game.state.metaActions
+            ];
+            const verbs: string[] = [];
+
+            for (const action of actions) {
+                if (!verbs.includes(action.aliases[0])) {
+                    verbs.push(action.aliases[0]);
+                }
+            }
+
+            game.output.writeMajor(
+                game.state.hasQuit
+                    ? "You gave up on the assessment. Here's what you can do:"
+                    : game.state.isAlive
+                    ? "Here's what you can do right now:"
+                    : "You have died. Here's what you can do:"
+            );
+
+            for (const verb of verbs) {
+                const group = actions.filter(a => a.aliases[0] === verb);
+                const synonyms = group[0].aliases.slice(1);
+                const things: string[] = [];
+
+                for (const action of group) {
+                    const thing = describeTarget(action);
+                    if (thing !== undefined && !things.includes(thing)) {
+                        things.push(thing);
+                    }
+                }
+
+                // Leave out vague names, like "cup" when "left cup" is listed
+                const specific = things.filter(
+                    thing => !things.some(other => other.endsWith(` ${thing}`))
+                );
+
+                const usage =
+                    specific.length > 0
+                        ? `${verb}: ${specific.join(", ")}`
+                        : group[0].usage;
+                game.output.writeNormal(
+                    synonyms.length > 0
+                        ? `${usage} (or ${synonyms.join(", ")})`
+                        : usage
+                );
+            }
+
+            game.output.writeMinor(
+                "You can also enter 'undo [NUMBER]' to take back commands, 'save [SLOT]' or 'load [SLOT]' to save or load a game, and 'saves' to list your saved games."
+            );
+
+            if (hasAction(game, "sacrifice")) {
+                game.output.writeMinor(
+                    `Abilities: ${abilityList(game.state.abilities)
+                        .map(ab => ab.name)
+                        .join(", ")}`
+                );
+            }
+        })
+);
+
+export const PUT_ALIASES = ["drop", "place", "set"];
+
 export class PutAction extends SubjectObjectAction {
     constructor(
         targetName: string,
@@ -297,7 +985,7 @@ export class PutAction extends SubjectObjectAction {
     ) {
         super(
             "put",
-            ["drop", "place", "set"],
+            PUT_ALIASES,
             targetName,
             targetAliases,
             objectName,
@@ -1,7 +1,9 @@
 import { Agent, TrackedEvent } from "regal";
-import { ExamineAction } from "./actions";
+import { ExamineAction, reallocateAbilityAction } from "./actions";
 import { on, State } from "./common";
 import { describeHolding } from "./events";
+import { addActions } from "./registry";
+import { startEvaluation } from "./scoring";
 
 export class Ability extends Agent {
     constructor(
@@ -33,14 +35,74 @@ export const abilityList = (ab: Abilities) => [
     ab.cognition
 ];
 
+export const findAbility = (ab: Abilities, name: string) =>
+    abilityList(ab).find(ability => ability.name === name);
+
 export class Item extends Agent {
-    constructor(public name: string) {
+    constructor(
+        public name: string,
+        public quantity: number = 1,
+        public plural?: string
+    ) {
         super();
     }
 }
 
+/** The location of a game object while the player is carrying it. */
+export const HELD = "held";
+
+/** The location of a game object that's gone for good, like a cookie that was eaten. */
+export const NOWHERE = "nowhere";
+
+/**
+ * A thing in a chamber. It goes by its noun or any of its aliases, each of
+ * which may follow one of its adjectives, as in "left cup" or "first glass".
+ * `location` is the name of the object it's in or on, `HELD` or `NOWHERE`,
+ * and `home` is where it goes when it's put back. Things can be put into an
+ * object that has a `container` preposition, like "in" or "on".
+ */
+export class GameObject extends Item {
+    public home: string;
+
+    constructor(
+        public noun: string,
+        public adjectives: string[],
+        public aliases: string[],
+        public location: string,
+        public portable: boolean,
+        public container?: string,
+        quantity: number = 1,
+        plural?: string
+    ) {
+        super(
+            adjectives.length > 0 ? `${adjectives[0]} ${noun}` : noun,
+            quantity,
+            plural
+        );
+        this.home = location;
+    }
+}
+
+/** Every name that a game object goes by, starting with its primary name. */
+export const objectNames = (object: GameObject) => {
+    const nouns = [object.noun, ...object.aliases];
+    if (object.plural !== undefined) {
+        nouns.unshift(object.plural);
+    }
+
+    return object.adjectives.length === 0
+        ? nouns
+        : [].concat(
+              ...object.adjectives.map(adj =>
+                  nouns.map(noun => `${adj} ${noun}`)
+              )
+          );
+};
+
 export class Room extends Agent {
     public onBegin: TrackedEvent<State>;
+    /** The registry groups that the room's actions go in, which are removed once it's complete. */
+    public groups: string[];
 
     constructor(
         public name: string,
@@ -48,14 +110,17 @@ export class Room extends Agent {
         _onBegin: (room: Room) => TrackedEvent<State>
     ) {
         super();
+        this.groups = [`room:${name}`];
         this.onBegin = on(
             `BEFORE BEGIN <${name.toLocaleUpperCase()}>`,
             game => {
-                game.state.availableActions.push(
+                addActions(game, `room:${name}`, [
                     new ExamineAction("room", ["around"], () =>
                         onDescribe.then(describeHolding)
-                    )
-                );
+                    ),
+                    reallocateAbilityAction
+                ]);
+                startEvaluation(game, name);
                 return _onBegin(this);
             }
         );
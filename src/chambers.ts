@@ -0,0 +1,5 @@
+import { Room } from "./agents";
+import { ThreeCups } from "./three-cups";
+
+/** Builds every chamber of the assessment, in the order they're visited. */
+export const buildChambers = (): Room[] => [new ThreeCups()];
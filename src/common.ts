@@ -1,16 +1,48 @@
 import { GameEventBuilder, GameInstance, on as _on } from "regal";
-import { Action } from "./actions";
-import { Abilities, Room } from "./agents";
+import { Action, Candidate } from "./actions";
+import { Abilities, Item, Room } from "./agents";
+import { Sacrifice } from "./endings";
+import { Evaluation } from "./scoring";
 
 export interface State {
     abilities: Abilities;
     currentRoom: Room;
+    chambers: Room[];
+    chamberIndex: number;
     availableActions: Array<Action<any>>;
-    holding: string;
+    /** Commands that work in every phase of the game, ahead of `availableActions`. */
+    metaActions: Array<Action<any>>;
+    inventory: Item[];
+    isAlive: boolean;
+    /** Whether the player quit the game. */
+    hasQuit: boolean;
+    candidates: Candidate[];
+    /** The name of the last thing the player mentioned, for resolving "it" and "them". */
+    referent: string;
+    /** Whether the last command couldn't be understood or needed clarifying. */
+    commandFailed: boolean;
+    /** Whether the current player command sacrificed an ability point, which can't be undone. */
+    madeSacrifice: boolean;
+    /** The evaluation of every chamber the player has begun, in order. */
+    evaluations: Evaluation[];
+    /** Every sacrifice the player has made, in order. */
+    sacrifices: Sacrifice[];
 }
 
 export const on: GameEventBuilder<State> = _on;
 
+/** The game's version, as shown by the `version` command. Keep it in step with package.json. */
+export const GAME_VERSION = "1.0.0";
+
+/**
+ * Tells the player why a command can't be carried out, and flags it as
+ * failed so that the rest of a compound command is skipped.
+ */
+export const failCommand = (game: GameInstance<State>, ...lines: string[]) => {
+    game.output.writeNormal(...lines);
+    game.state.commandFailed = true;
+};
+
 export const simpleCap = (str: string) => str[0].toUpperCase() + str.substr(1);
 
 export const safeShuffle = <T>(arr: T[], game: GameInstance): T[] => {
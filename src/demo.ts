@@ -1,61 +1,59 @@
+import * as fs from "fs";
+import * as path from "path";
 import * as readline from "readline-sync";
-import { Game, GameResponse, OutputLineType } from "regal";
-import { inspect } from "util";
+import { GameResponse } from "regal";
+import { State } from "./common";
+import { formatResponse } from "./output";
+import { SaveStorage } from "./session";
 
-const log = o => console.log(inspect(o, { depth: Infinity }));
+const SAVE_DIR = "saves";
 
-const writeOut = (response: GameResponse) => {
-    if (!response.output.wasSuccessful) {
-        log(response);
-        return;
-    }
+const writeOut = (response: GameResponse) =>
+    formatResponse(response).forEach(line => console.log(line));
 
-    for (const line of response.instance.output.lines) {
-        switch (line.type) {
-            case OutputLineType.SECTION_TITLE:
-                console.log(`\n>> ${line.data} <<\n`);
-                break;
-            case OutputLineType.MAJOR:
-                console.log(`\n* ${line.data} *\n`);
-                break;
-            case OutputLineType.NORMAL:
-                console.log(line.data);
-                break;
-            case OutputLineType.MINOR:
-                console.log(`  ${line.data}`);
-                break;
-            case OutputLineType.DEBUG:
-                console.log(`(${line.data})`);
-                break;
+/** Keeps saved games as JSON files in the `saves` directory. */
+const fileStorage: SaveStorage = {
+    read: slot => {
+        const file = path.join(SAVE_DIR, `${slot}.json`);
+        return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : undefined;
+    },
+    write: (slot, contents) => {
+        if (!fs.existsSync(SAVE_DIR)) {
+            fs.mkdirSync(SAVE_DIR);
         }
+        fs.writeFileSync(path.join(SAVE_DIR, `${slot}.json`), contents);
+    },
+    list: () =>
+        fs.existsSync(SAVE_DIR)
+            ? fs
+                  .readdirSync(SAVE_DIR)
+                  .filter(file => file.endsWith(".json"))
+                  .map(file => file.slice(0, -".json".length))
+            : []
+};
+
+/** Reads the seed from a `--seed <SEED>` or `--seed=<SEED>` argument, if there is one. */
+const parseSeed = (args: string[]) => {
+    const idx = args.findIndex(arg => arg.startsWith("--seed"));
+    if (idx === -1) {
+        return undefined;
     }
+    return args[idx].includes("=")
+        ? args[idx].slice("--seed=".length)
+        : args[idx + 1];
 };
 
-const interact = true;
-const commands = [
-    "sacrifice vision",
-    "pickup middle cup",
-    "pour middle cup on lock",
-    "put middle cup down",
-    "look cups",
-    "open drawer",
-    "pickup nails",
-    "put nails in cups",
-    "look cups",
-    "pickup right cup",
-    "pour cup on lock",
-    "look cups",
-    "quit"
-];
+import(".").then(({ Session }) => {
+    const session = new Session(fileStorage, parseSeed(process.argv.slice(2)));
+    writeOut(session.start);
 
-import(".").then(() => {
-    let r = Game.postStartCommand();
-    writeOut(r);
-    let cmd: string;
+    while (!(session.instance.state as State).hasQuit) {
+        const cmd = readline.question("\n> ");
 
-    while (cmd !== "quit") {
-        cmd = interact ? readline.question("\n> ") : commands.shift();
-        r = Game.postPlayerCommand(r.instance, cmd);
-        writeOut(r);
+        const result = session.input(cmd);
+        result.messages.forEach(message => console.log(message));
+        if (result.response !== undefined) {
+            writeOut(result.response);
+        }
     }
 });
@@ -0,0 +1,106 @@
+import { GameInstance } from "regal";
+import { Abilities, abilityList } from "./agents";
+import { on, simpleCap, State } from "./common";
+import { Evaluation } from "./scoring";
+
+/** An ability point the player gave up to begin a chamber. */
+export interface Sacrifice {
+    chamber: string;
+    ability: string;
+}
+
+const SENSES = ["vision", "hearing", "smell", "taste", "touch"];
+
+/**
+ * One of the ways a finished run can end. The first ending that `applies`
+ * to the player's final abilities and chamber evaluations is chosen.
+ */
+interface Ending {
+    verdict: string;
+    applies: (abilities: Abilities, evaluations: Evaluation[]) => boolean;
+    narrative: (abilities: Abilities) => string[];
+}
+
+const soldSenses = (abilities: Abilities) =>
+    abilityList(abilities).filter(
+        ab => SENSES.includes(ab.name) && ab.currentValue === 0
+    );
+
+const ENDINGS: Ending[] = [
+    {
+        verdict: "Acquired",
+        applies: abilities => abilities.cognition.currentValue <= 1,
+        narrative: () => [
+            "She finally looks up from her tablet, and studies you for a long time.",
+            '"We won\'t be needing a candidate," she says. "But we\'ve made an offer on the rest of you, and your signature is already on file."',
+            "Two orderlies step out of a door you hadn't noticed. You can't quite remember why you should mind."
+        ]
+    },
+    {
+        verdict: "Retained as a donor",
+        applies: abilities => soldSenses(abilities).length > 0,
+        narrative: abilities => [
+            `"You've sold all of your ${soldSenses(abilities)
+                .map(ab => ab.name)
+                .join(" and ")}," she says. "Our buyers were very pleased."`,
+            '"We don\'t have a position for you. We do have a donor program, and it pays by the ability point."',
+            "She slides a contract across the table. Most of it has already been filled in."
+        ]
+    },
+    {
+        verdict: "Hired",
+        applies: (_abilities, evaluations) =>
+            evaluations.every(e => e.hazards.length === 0),
+        narrative: () => [
+            '"Congratulations," she says, without looking up from her tablet. "You\'ve completed every chamber of the assessment without a single incident."',
+            '"Welcome to the Pando Corporation. Your first shift starts tomorrow."'
+        ]
+    },
+    {
+        verdict: "Rejected",
+        applies: () => true,
+        narrative: () => [
+            '"You\'ve completed every chamber of the assessment," she says, without looking up from her tablet. "Eventually."',
+            '"The Pando Corporation will be in touch."',
+            "You get the feeling that it won't."
+        ]
+    }
+];
+
+/** Remarks on how the chambers were solved, for the player's verdict. */
+const describeConduct = (evaluations: Evaluation[]) => {
+    const experiments = evaluations.some(e => e.experiments.length > 0);
+    const hazards = evaluations.some(e => e.hazards.length > 0);
+
+    if (experiments && !hazards) {
+        return "Remarks: Methodical. Tests before acting.";
+    }
+    if (hazards) {
+        return "Remarks: Reckless with company property, including their own body.";
+    }
+    return "Remarks: Adequate.";
+};
+
+export const chooseEnding = (game: GameInstance<State>) =>
+    ENDINGS.find(ending =>
+        ending.applies(game.state.abilities, game.state.evaluations)
+    );
+
+export const describeEnding = on("DESCRIBE ENDING", game => {
+    const ending = chooseEnding(game);
+
+    game.output.writeNormal(...ending.narrative(game.state.abilities));
+    game.output.writeMajor(`Verdict: ${ending.verdict}`);
+    game.output.writeNormal(describeConduct(game.state.evaluations));
+});
+
+/** Lists every sacrifice the player made, chamber by chamber. */
+export const summarizeSacrifices = on("SUM_SACRIFICES", game => {
+    game.output.writeMajor("Sacrifices made:");
+
+    for (const sacrifice of game.state.sacrifices) {
+        game.output.writeNormal(
+            `${sacrifice.chamber}: ${simpleCap(sacrifice.ability)}`
+        );
+    }
+});
@@ -1,8 +1,38 @@
-import { noop } from "regal";
-import { sacrificeAbilityAction } from "./actions";
+import { noop, TrackedEvent } from "regal";
+import {
+    askWhich,
+    correctSpelling,
+    disambiguate,
+    dispatch,
+    findMatch,
+    helpAction,
+    inventoryAction,
+    lookAction,
+    quitAction,
+    reallocateAbilityAction,
+    resolveAnswer,
+    restartAction,
+    sacrificeAbilityAction,
+    scoreAction,
+    seedAction,
+    statusAction,
+    suggestCommands,
+    usableActions,
+    versionAction
+} from "./actions";
 import { Abilities, abilityList, Room } from "./agents";
-import { on, simpleCap } from "./common";
-import { ThreeCups } from "./three-cups";
+import { buildChambers } from "./chambers";
+import { failCommand, on, simpleCap, State } from "./common";
+import { describeEnding, summarizeSacrifices } from "./endings";
+import { describeItem } from "./inventory";
+import {
+    findPronoun,
+    parseCommand,
+    replacePronouns,
+    splitCommands
+} from "./parser";
+import { removeGroup, replaceGroup } from "./registry";
+import { DECEASED, PASSED, reportEvaluation, totalScore } from "./scoring";
 
 export const summarizeAbilities = on("SUM_ABILITIES", game => {
     game.output.writeMajor("Current status of your abilities:");
@@ -14,6 +44,8 @@ export const summarizeAbilities = on("SUM_ABILITIES", game => {
             }`
         );
     }
+
+    game.output.writeMinor(`Seed: ${game.options.seed}`);
 });
 
 export const promptSacrifice = on("PROMPT SACRIFICE", game => {
@@ -23,7 +55,10 @@ export const promptSacrifice = on("PROMPT SACRIFICE", game => {
     );
     game.output.writeMinor("Enter 'sacrifice <ABILITY_NAME>' or 'reallocate'.");
 
-    game.state.availableActions = [sacrificeAbilityAction];
+    replaceGroup(game, "sacrifice", [
+        sacrificeAbilityAction,
+        reallocateAbilityAction
+    ]);
 });
 
 export const enterRoom = (room: Room) =>
@@ -33,36 +68,238 @@ export const enterRoom = (room: Room) =>
         return room.onDescribe.then(promptSacrifice);
     });
 
+export const endAssessment = on("END ASSESSMENT", game => {
+    game.output.writeTitle("Assessment Complete");
+    game.output.writeNormal(
+        "The door opens onto a long, white hallway. At the end of it, a woman in a grey suit is waiting for you."
+    );
+
+    game.state.availableActions = [];
+    return describeEnding.then(
+        summarizeSacrifices,
+        on("FINAL SCORE", _game => {
+            _game.output.writeNormal(
+                `Final aptitude score: ${totalScore(_game)}`
+            );
+        }),
+        summarizeAbilities,
+        on("PROMPT RESTART", _game => {
+            _game.output.writeMinor(
+                "Enter 'restart' to play again or 'quit' to exit."
+            );
+        })
+    );
+});
+
+export const completeChamber = on("COMPLETE CHAMBER", game => {
+    const room = game.state.currentRoom;
+    game.output.writeMajor(`Chamber complete: ${room.name}`);
+
+    // The room's actions leave with it, including any it never got to add
+    for (const group of room.groups) {
+        removeGroup(game, group);
+    }
+    game.state.inventory = [];
+    game.state.referent = "";
+
+    const next = game.state.chambers[++game.state.chamberIndex];
+    return reportEvaluation(PASSED).then(
+        next === undefined ? endAssessment : enterRoom(next)
+    );
+});
+
+export const die = (...narrative: string[]) =>
+    on("DIE", game => {
+        game.output.writeNormal(...narrative);
+        game.output.writeMajor("You have died.");
+
+        game.state.isAlive = false;
+        game.state.availableActions = [];
+        return reportEvaluation(DECEASED).then(
+            on("PROMPT RESTART", _game => {
+                _game.output.writeMinor(
+                    "Enter 'restart' to try again or 'quit' to give up."
+                );
+            })
+        );
+    });
+
+/** Kills the player if they've lost an ability they can't live without. Otherwise, continues to `next`. */
+export const checkVitals = (next: TrackedEvent<State>) =>
+    on("CHECK VITALS", game => {
+        const abilities = game.state.abilities;
+
+        if (abilities.cognition.currentValue === 0) {
+            return die(
+                "Your thoughts slow, then scatter, then stop altogether.",
+                "Something else settles into your mind. It doesn't need you anymore."
+            );
+        }
+
+        if (abilities.mobility.currentValue === 0) {
+            return die(
+                "Your muscles stop answering you. Your legs fold, and your lungs follow soon after."
+            );
+        }
+
+        return next;
+    });
+
 export const init = on("INIT", game => {
     game.state.abilities = new Abilities();
     game.state.availableActions = [];
+    game.state.metaActions = [
+        statusAction,
+        lookAction,
+        inventoryAction,
+        helpAction,
+        quitAction,
+        restartAction,
+        versionAction,
+        seedAction,
+        scoreAction
+    ];
+    game.state.inventory = [];
+    game.state.isAlive = true;
+    game.state.hasQuit = false;
+    game.state.candidates = [];
+    game.state.referent = "";
+    game.state.commandFailed = false;
+    game.state.madeSacrifice = false;
+    game.state.evaluations = [];
+    game.state.sacrifices = [];
+
+    game.state.chambers = buildChambers();
+    game.state.chamberIndex = 0;
 
     game.output.writeMajor("Startup successful!");
-    return summarizeAbilities.then(enterRoom(game.using(new ThreeCups())));
+    game.output.writeMinor("Enter 'help' at any time to see what you can do.");
+    return summarizeAbilities.then(enterRoom(game.state.chambers[0]));
 });
 
-export const command = (cmd: string) =>
+/** Runs a single command, flagging `commandFailed` if it couldn't be carried out. */
+const runCommand = (cmd: string) =>
     on("COMMAND", game => {
+        const actions = usableActions(game);
+        game.state.commandFailed = false;
+
         game.output.writeDebug(
-            `Available actions: ${game.state.availableActions
-                .map(aa => aa.name)
-                .join(", ")}`
+            `Available actions: ${actions.map(aa => aa.name).join(", ")}`
         );
 
-        for (const action of game.state.availableActions) {
-            const rm = action.matchCheck(action, cmd, game);
-            if (rm.match) {
-                game.output.writeDebug(`Match: ${action.name}`);
-                return action.effect(rm.result);
+        // A bare answer to "Which cup do you mean?" completes the original command
+        const answered = resolveAnswer(game, cmd);
+        let resolved = answered !== undefined ? answered : cmd;
+
+        const pronoun = findPronoun(resolved);
+        if (pronoun !== undefined && game.state.referent === "") {
+            failCommand(game, `I'm not sure what you mean by '${pronoun}'.`);
+            return noop;
+        }
+        if (game.state.referent !== "") {
+            resolved = replacePronouns(resolved, game.state.referent);
+        }
+
+        const verbs = [].concat(...actions.map(aa => aa.aliases));
+        const parsed = parseCommand(resolved, verbs);
+
+        game.output.writeDebug(
+            `Parsed: verb '${parsed.verb}', direct '${
+                parsed.directObject
+            }', preposition '${parsed.preposition}', indirect '${
+                parsed.indirectObject
+            }'`
+        );
+
+        const match = findMatch(game, parsed);
+        if (match !== undefined) {
+            return dispatch(game, match);
+        }
+
+        const candidates = disambiguate(game, parsed, verbs);
+        if (candidates.length === 1) {
+            const rewritten = parseCommand(candidates[0].command, verbs);
+            return dispatch(game, findMatch(game, rewritten));
+        }
+        if (candidates.length > 1) {
+            return askWhich(candidates);
+        }
+
+        const corrected = correctSpelling(game, parsed.raw, verbs);
+        if (corrected !== undefined) {
+            const reparsed = parseCommand(corrected, verbs);
+            if (
+                findMatch(game, reparsed) !== undefined ||
+                disambiguate(game, reparsed, verbs).length > 0
+            ) {
+                game.output.writeMinor(`(Assuming you meant '${corrected}'.)`);
+                return runCommand(corrected);
             }
         }
-        game.output.writeNormal("Sorry, I didn't understand that.");
+
+        const suggestions = suggestCommands(game, parsed.raw).map(
+            s => `'${s}'`
+        );
+        if (suggestions.length > 0) {
+            const last = suggestions.pop();
+            const list =
+                suggestions.length > 0
+                    ? `${suggestions.join(", ")} or ${last}`
+                    : last;
+            failCommand(
+                game,
+                `Sorry, I didn't understand that. Did you mean ${list}?`
+            );
+            return noop;
+        }
+
+        failCommand(game, "Sorry, I didn't understand that.");
         return noop;
     });
 
+/**
+ * Runs each part of a compound command in order, stopping early if
+ * a part fails, asks a question, kills the player or quits.
+ */
+const runCommands = (parts: string[]): TrackedEvent<State> =>
+    runCommand(parts[0]).then(
+        on("NEXT COMMAND", game => {
+            const rest = parts.slice(1);
+            if (rest.length === 0) {
+                return noop;
+            }
+
+            if (
+                game.state.commandFailed ||
+                !game.state.isAlive ||
+                game.state.hasQuit
+            ) {
+                game.output.writeMinor(
+                    `Stopped at '${parts[0]}', so '${rest.join(
+                        ", "
+                    )}' was skipped.`
+                );
+                return noop;
+            }
+
+            return runCommands(rest);
+        })
+    );
+
+export const command = (cmd: string) =>
+    on("PLAYER COMMAND", game => {
+        game.state.madeSacrifice = false;
+
+        const parts = splitCommands(cmd);
+        return parts.length > 1 ? runCommands(parts) : runCommand(cmd);
+    });
+
 export const describeHolding = on("DESCRIBE HOLDING", game => {
-    const holding = game.state.holding;
-    if (holding !== undefined) {
-        game.output.writeNormal(`You are holding the ${holding}.`);
+    const items = game.state.inventory.map(describeItem);
+    if (items.length > 0) {
+        const last = items.pop();
+        const list =
+            items.length > 0 ? `${items.join(", ")} and ${last}` : last;
+        game.output.writeNormal(`You are holding ${list}.`);
     }
 });
@@ -0,0 +1,67 @@
+import { GameInstance } from "regal";
+import { Action, matchBareVerb } from "./actions";
+import { findAbility } from "./agents";
+import { on, State } from "./common";
+import { recordHint } from "./scoring";
+
+/** One way of solving a chamber. */
+export interface HintRoute {
+    /** The abilities the route relies on, if any, and the lowest level each works at. */
+    requires?: { [ability: string]: number };
+    /** Hints for the route, from vague to specific. */
+    hints: string[];
+}
+
+/**
+ * A chamber's hints. Each `hint` command gives the next tier: the opening
+ * hints one at a time, then each tier of every route that the player's
+ * current abilities can use, then the solution.
+ */
+export interface Hints {
+    opening: string[];
+    routes: HintRoute[];
+    solution: string;
+}
+
+const canUse = (game: GameInstance<State>, route: HintRoute) =>
+    Object.keys(route.requires || {}).every(
+        name =>
+            findAbility(game.state.abilities, name).currentValue >=
+            route.requires[name]
+    );
+
+/** Builds the tiers of hints that the player can use right now. */
+const hintTiers = (game: GameInstance<State>, hints: Hints) => {
+    const routes = hints.routes.filter(route => canUse(game, route));
+    const depth = Math.max(0, ...routes.map(route => route.hints.length));
+    const tiers = hints.opening.map(hint => [hint]);
+
+    for (let i = 0; i < depth; i++) {
+        tiers.push(
+            routes
+                .filter(route => route.hints[i] !== undefined)
+                .map(route => route.hints[i])
+        );
+    }
+
+    tiers.push([hints.solution]);
+    return tiers;
+};
+
+/** Gives the next hint for a chamber, and records that it was used. */
+export const hintAction = (hints: Hints) =>
+    new Action("hint", ["hint", "hints", "clue"], matchBareVerb, () =>
+        on("HINT", game => {
+            const tiers = hintTiers(game, hints);
+            const tier = recordHint(game, tiers.length) - 1;
+
+            game.output.writeNormal(...tiers[tier]);
+            game.output.writeMinor(
+                tier < tiers.length - 1
+                    ? `Hint ${tier + 1} of ${
+                          tiers.length
+                      }. Enter 'hint' again for a more specific one.`
+                    : "That's the solution. There are no more hints."
+            );
+        })
+    );
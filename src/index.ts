@@ -1,6 +1,15 @@
-import { Game, onPlayerCommand, onStartCommand } from "regal";
+import {
+    Game,
+    onBeforeUndoCommand,
+    onPlayerCommand,
+    onStartCommand
+} from "regal";
+import { State } from "./common";
 import { command, init } from "./events";
 
+/** Whether a command that sacrificed an ability point can be undone. */
+const ALLOW_UNDOING_SACRIFICES = false;
+
 Game.init({
     author: "Joe Cowman",
     name: "Ludum Dare 43",
@@ -9,5 +18,15 @@ Game.init({
 
 onStartCommand(init);
 onPlayerCommand(command);
+onBeforeUndoCommand(
+    game => ALLOW_UNDOING_SACRIFICES || !(game.state as State).madeSacrifice
+);
 
 export { Game };
+export {
+    describeSave,
+    SaveClock,
+    SaveData,
+    SaveStorage,
+    Session
+} from "./session";
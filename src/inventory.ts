@@ -0,0 +1,45 @@
+import { GameInstance } from "regal";
+import { Item } from "./agents";
+import { State } from "./common";
+
+/** The number of different items the player can carry at once; one per hand. */
+export const HAND_CAPACITY = 2;
+
+const itemNames = (item: Item) =>
+    item.plural === undefined ? [item.name] : [item.name, item.plural];
+
+const findItemIndex = (game: GameInstance<State>, name: string) =>
+    game.state.inventory.findIndex(item =>
+        itemNames(item).includes(name.toLocaleLowerCase())
+    );
+
+export const findItem = (game: GameInstance<State>, name: string): Item =>
+    game.state.inventory[findItemIndex(game, name)];
+
+/** Whether the player is holding an item that goes by any of the given names. */
+export const isHolding = (game: GameInstance<State>, names: string[]) =>
+    names.some(name => findItem(game, name) !== undefined);
+
+export const handsAreFull = (game: GameInstance<State>) =>
+    game.state.inventory.length >= HAND_CAPACITY;
+
+/** Adds the item to the player's inventory, stacking it with any item of the same name. */
+export const addItem = (game: GameInstance<State>, _item: Item) => {
+    const item = game.using(_item);
+    const existing = findItem(game, item.name);
+
+    if (existing !== undefined) {
+        existing.quantity += item.quantity;
+    } else {
+        game.state.inventory.push(item);
+    }
+};
+
+/** Removes every unit of the named item from the player's inventory and returns it. */
+export const removeItem = (game: GameInstance<State>, name: string): Item => {
+    const idx = findItemIndex(game, name);
+    return idx > -1 ? game.state.inventory.splice(idx, 1)[0] : undefined;
+};
+
+export const describeItem = (item: Item) =>
+    item.quantity > 1 ? `${item.quantity} ${item.plural}` : `the ${item.name}`;
@@ -0,0 +1,24 @@
+import { GameResponse, OutputLineType } from "regal";
+import { inspect } from "util";
+
+/** Formats a game response as the lines of text that a terminal would show. */
+export const formatResponse = (response: GameResponse): string[] => {
+    if (!response.output.wasSuccessful) {
+        return [inspect(response, { depth: Infinity })];
+    }
+
+    return response.instance.output.lines.map(line => {
+        switch (line.type) {
+            case OutputLineType.SECTION_TITLE:
+                return `\n>> ${line.data} <<\n`;
+            case OutputLineType.MAJOR:
+                return `\n* ${line.data} *\n`;
+            case OutputLineType.MINOR:
+                return `  ${line.data}`;
+            case OutputLineType.DEBUG:
+                return `(${line.data})`;
+            default:
+                return line.data;
+        }
+    });
+};
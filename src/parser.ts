@@ -0,0 +1,212 @@
+/** Words that are dropped from every command. */
+const ARTICLES = ["the", "a", "an"];
+
+/** Words that separate a command's direct object from its indirect object. */
+export const PREPOSITIONS = [
+    "on",
+    "onto",
+    "in",
+    "into",
+    "inside",
+    "with",
+    "at"
+];
+
+/**
+ * Words that complete a verb, but may trail after its object,
+ * as in "pick the nails up" or "put the cup down".
+ */
+export const PARTICLES = ["up", "down", "back", "away", "out"];
+
+/** Words that refer back to the last thing the player mentioned. */
+const PRONOUNS = ["it", "them", "that", "those", "this", "these"];
+
+/** A player's command, broken down into its grammatical parts. */
+export interface Command {
+    /** The command exactly as the player entered it. */
+    raw: string;
+    /** Every word of the command, lowercased and without articles. */
+    tokens: string[];
+    /** The verb phrase that the command starts with, or `""` if none was recognized. */
+    verb: string;
+    /** Every word after the verb. */
+    args: string[];
+    /** The thing being acted on, as in "pour **the cup** on the lock". */
+    directObject: string;
+    /** The preposition between the objects, as in "pour the cup **on** the lock". */
+    preposition: string;
+    /** The thing being acted with or upon, as in "pour the cup on **the lock**". */
+    indirectObject: string;
+    /** A particle that trailed after the direct object, as in "put the cup **down**". */
+    particle: string;
+}
+
+/** Splits a phrase into lowercase words, dropping punctuation and articles. */
+export const tokenize = (phrase: string) =>
+    phrase
+        .toLocaleLowerCase()
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter(word => word !== "" && !ARTICLES.includes(word));
+
+/** Puts a phrase into the same form as the phrases in a parsed `Command`. */
+export const normalize = (phrase: string) => tokenize(phrase).join(" ");
+
+/**
+ * Counts the insertions, deletions, substitutions and swaps of adjacent
+ * characters needed to turn one string into another.
+ */
+export const editDistance = (a: string, b: string) => {
+    const d: number[][] = [];
+
+    for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+
+            if (
+                i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]
+            ) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+};
+
+/**
+ * Splits an input line into the commands it contains, as in
+ * "open the drawer, take the nails, then put them in the cups".
+ */
+export const splitCommands = (raw: string) =>
+    raw
+        .split(/[,.;]|\b(?:and|then)\b/i)
+        .map(part => part.trim())
+        .filter(part => part !== "");
+
+/** Returns the first pronoun in a command, or `undefined` if it has none. */
+/** "One" is only a pronoun after another one, as in "that one". */
+const isPronoun = (word: string, idx: number, words: string[]) =>
+    PRONOUNS.includes(word) ||
+    (word === "one" && PRONOUNS.includes(words[idx - 1]));
+
+export const findPronoun = (raw: string) => tokenize(raw).find(isPronoun);
+
+/**
+ * Replaces the pronouns in a command with the name of what they refer to,
+ * as in "pick it up" to "pick left cup up". Consecutive pronouns, as in
+ * "that one", are replaced together. Any other "one" stands for the thing's
+ * noun, so "take the left one" becomes "take left cup". A command with
+ * nothing to replace is returned as it is.
+ */
+export const replacePronouns = (raw: string, referent: string) => {
+    const words = tokenize(raw);
+    if (!words.some(word => PRONOUNS.includes(word) || word === "one")) {
+        return raw;
+    }
+
+    const noun = referent.split(" ").pop();
+    return words
+        .map((word, idx) =>
+            isPronoun(word, idx, words)
+                ? referent
+                : word === "one"
+                ? noun
+                : word
+        )
+        .filter(
+            (word, idx, replaced) =>
+                word !== referent || replaced[idx - 1] !== referent
+        )
+        .join(" ");
+};
+
+const startsWith = (tokens: string[], prefix: string[]) =>
+    prefix.every((word, idx) => tokens[idx] === word);
+
+/**
+ * Finds the longest verb phrase that the tokens start with and returns
+ * the remaining tokens. A verb phrase that ends in a particle also matches
+ * when the particle comes at the end of the command ("pick the nails up").
+ */
+const matchVerb = (tokens: string[], verbs: string[]) => {
+    let verb = "";
+    let args = tokens;
+    let verbLength = 0;
+
+    for (const phrase of verbs.map(tokenize)) {
+        if (phrase.length <= verbLength) {
+            continue;
+        }
+
+        if (startsWith(tokens, phrase)) {
+            verb = phrase.join(" ");
+            args = tokens.slice(phrase.length);
+            verbLength = phrase.length;
+            continue;
+        }
+
+        const particle = phrase[phrase.length - 1];
+        const stem = phrase.slice(0, -1);
+
+        if (
+            PARTICLES.includes(particle) &&
+            tokens.length > phrase.length &&
+            tokens[tokens.length - 1] === particle &&
+            startsWith(tokens, stem)
+        ) {
+            verb = phrase.join(" ");
+            args = tokens.slice(stem.length, -1);
+            verbLength = phrase.length;
+        }
+    }
+
+    return { verb, args };
+};
+
+/**
+ * Parses a player's command.
+ *
+ * @param raw The command exactly as the player entered it.
+ * @param verbs Every verb phrase that the command might start with.
+ */
+export const parseCommand = (raw: string, verbs: string[]): Command => {
+    const tokens = tokenize(raw);
+    const { verb, args } = matchVerb(tokens, verbs);
+
+    const prepIdx = args.findIndex(word => PREPOSITIONS.includes(word));
+    const direct = prepIdx === -1 ? args : args.slice(0, prepIdx);
+
+    let particle = "";
+    if (direct.length > 0 && PARTICLES.includes(direct[direct.length - 1])) {
+        particle = direct[direct.length - 1];
+    }
+
+    return {
+        raw,
+        tokens,
+        verb,
+        args,
+        directObject: (particle === "" ? direct : direct.slice(0, -1)).join(
+            " "
+        ),
+        preposition: prepIdx === -1 ? "" : args[prepIdx],
+        indirectObject: prepIdx === -1 ? "" : args.slice(prepIdx + 1).join(" "),
+        particle
+    };
+};
@@ -0,0 +1,67 @@
+import { EventFunction, GameInstance } from "regal";
+import { findAbility } from "./agents";
+import { State } from "./common";
+
+/** A description, or a function that builds one from the current game. */
+export type Perceived =
+    | string
+    | string[]
+    | ((game: GameInstance<State>) => string | string[]);
+
+/**
+ * Descriptions of something, keyed by ability level.
+ *
+ * A level without its own description falls back to the nearest level
+ * toward the ability's regular level (one below its maximum). The description
+ * for the enhanced (maximum) level is added onto the regular description
+ * rather than replacing it.
+ */
+export interface Perceptions {
+    [level: number]: Perceived;
+}
+
+const resolve = (perceived: Perceived, game: GameInstance<State>) => {
+    const result =
+        typeof perceived === "function" ? perceived(game) : perceived;
+    return typeof result === "string" ? [result] : result;
+};
+
+export const perceive = (
+    game: GameInstance<State>,
+    abilityName: string,
+    perceptions: Perceptions
+): string[] => {
+    const ability = findAbility(game.state.abilities, abilityName);
+    const regular = ability.maxValue - 1;
+
+    if (
+        ability.currentValue === ability.maxValue &&
+        perceptions[ability.maxValue] !== undefined
+    ) {
+        const base =
+            perceptions[regular] === undefined
+                ? []
+                : resolve(perceptions[regular], game);
+        return base.concat(resolve(perceptions[ability.maxValue], game));
+    }
+
+    let level = ability.currentValue;
+    while (perceptions[level] === undefined && level !== regular) {
+        level += level < regular ? 1 : -1;
+    }
+
+    return perceptions[level] === undefined
+        ? []
+        : resolve(perceptions[level], game);
+};
+
+export const sense = (
+    abilityName: string,
+    perceptions: Perceptions
+): EventFunction<State> => game => {
+    game.output.writeNormal(...perceive(game, abilityName, perceptions));
+};
+
+export const see = (perceptions: Perceptions) => sense("vision", perceptions);
+
+export const smell = (perceptions: Perceptions) => sense("smell", perceptions);
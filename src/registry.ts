@@ -0,0 +1,58 @@
+import { GameInstance } from "regal";
+import { Action } from "./actions";
+import { State } from "./common";
+
+/**
+ * Registers actions under a group, like `room:Three Cups` or `object:drawer`,
+ * so that whoever owns them can replace or remove them together. An action
+ * replaces any registered action with the same ID, whichever group it was in.
+ */
+export const addActions = (
+    game: GameInstance<State>,
+    group: string,
+    actions: Array<Action<any>>
+) => {
+    const registry = game.state.availableActions;
+
+    for (const _action of actions) {
+        const action = game.using(_action);
+        action.group = group;
+
+        const idx = registry.findIndex(a => a.actionId === action.actionId);
+        if (idx === -1) {
+            registry.push(action);
+        } else {
+            game.output.writeDebug(`Replaced action: ${action.actionId}`);
+            registry[idx] = action;
+        }
+    }
+};
+
+export const hasAction = (game: GameInstance<State>, actionId: string) =>
+    game.state.availableActions.some(a => a.actionId === actionId);
+
+/** Removes every action in a group and returns how many there were. */
+export const removeGroup = (game: GameInstance<State>, group: string) => {
+    const actions = game.state.availableActions;
+    const remaining = actions.filter(a => a.group !== group);
+    const removed = actions.length - remaining.length;
+
+    if (removed === 0) {
+        game.output.writeDebug(`No actions to remove in group: ${group}`);
+    }
+
+    game.state.availableActions = remaining;
+    return removed;
+};
+
+/** Replaces every action in a group, if it has any, with the given actions. */
+export const replaceGroup = (
+    game: GameInstance<State>,
+    group: string,
+    actions: Array<Action<any>>
+) => {
+    game.state.availableActions = game.state.availableActions.filter(
+        a => a.group !== group
+    );
+    addActions(game, group, actions);
+};
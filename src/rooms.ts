@@ -0,0 +1,486 @@
+import { EventFunction, GameInstance, noop, RegalError } from "regal";
+import {
+    Action,
+    DrinkAction,
+    DropAction,
+    EatAction,
+    ExamineAction,
+    OpenAction,
+    PickupAction,
+    PUT_ALIASES,
+    SimpleAction,
+    SmellAction,
+    SubjectObjectAction,
+    TasteAction,
+    TouchAction
+} from "./actions";
+import { GameObject, HELD, NOWHERE, objectNames, Room } from "./agents";
+import { failCommand, on, State } from "./common";
+import { hintAction, Hints } from "./hints";
+import { addItem, removeItem } from "./inventory";
+import { perceive, Perceptions } from "./perception";
+import { addActions } from "./registry";
+
+/** Fixed text, or text built from the room's current state. */
+export type Text<R> =
+    | string
+    | string[]
+    | ((room: R, game: GameInstance<State>) => string | string[]);
+
+/** Text that depends on the level of one of the player's abilities, as in `perception.ts`. */
+export interface Sensed<R> {
+    sense: string;
+    levels: { [level: number]: Text<R> };
+}
+
+/**
+ * Something that happens when an object is used. `effect` may return the
+ * event to run next, and `reveals` lists the hidden objects that become
+ * available once it has run.
+ */
+export interface Effect<R> {
+    effect: (room: R, game: GameInstance<State>) => EventFunction<State> | void;
+    reveals?: string[];
+}
+
+export type Response<R> = Text<R> | Sensed<R> | Effect<R>;
+
+/** A verb that uses an object on something else, as in "pour the cup on the lock". */
+export interface Use<R> {
+    verb: string;
+    /**
+     * What the object is used on. This is either another object, which can
+     * be called by any of its names, or a word like "lock" or "down".
+     */
+    on: string;
+    onAliases?: string[];
+    /** The word that joins the object to what it's used on, for listing the verb. Defaults to "on". */
+    preposition?: string;
+    /** Whether the player has to be holding the object first. Defaults to true. */
+    holding?: boolean;
+    response: Response<R>;
+}
+
+/**
+ * Declares a `GameObject`. Besides the responses it declares, a portable
+ * object can be taken, dropped and put into any container in the room.
+ */
+export interface ObjectDefinition<R> {
+    /** The object's noun, as in "cup". */
+    name: string;
+    adjectives?: string[];
+    aliases?: string[];
+    /** The name of the container it starts in or on. Defaults to "room". */
+    location?: string;
+    portable?: boolean;
+    /** The preposition for putting things into the object, if it can hold them. */
+    container?: string;
+    /** Whether the container can be reached into right now. Containers without it are always open. */
+    isOpen?: (room: R) => boolean;
+    quantity?: number;
+    plural?: string;
+    /** Whether the object stays out of scope until a response reveals it. */
+    hidden?: boolean;
+    /** What the player sees when they examine the object. */
+    description?: Response<R>;
+    /** How the object responds to other verbs, like `smell` or `drink`. */
+    verbs?: { [verb: string]: Response<R> };
+    uses?: Array<Use<R>>;
+}
+
+/**
+ * Everything that makes up a chamber. `state` builds the room's state flags,
+ * which every response can read and change through its `room` argument.
+ */
+export interface RoomDefinition<F> {
+    name: string;
+    description: string[];
+    state: () => F;
+    /** Verbs that aren't built in, along with their synonyms. */
+    verbs?: { [verb: string]: string[] };
+    /** Sets up the room when the player begins it, after the sacrifice. */
+    setup?: (room: DefinedRoom & F, game: GameInstance<State>) => void;
+    objects: Array<ObjectDefinition<DefinedRoom & F>>;
+    /** Hints for the `hint` command, if the room has any. */
+    hints?: Hints;
+}
+
+/** A room built from a `RoomDefinition`. */
+export class DefinedRoom extends Room {
+    /** The room's objects, in the order they were defined. */
+    public objects: GameObject[] = [];
+    /** The names of the hidden objects that have been revealed. */
+    public revealed: string[] = [];
+}
+
+/** The group that an object's actions are registered under. */
+export const objectGroup = (object: GameObject) =>
+    `object:${objectNames(object)[0]}`;
+
+/** Returns the object in the room that goes by the given name. */
+export const findObject = (room: DefinedRoom, name: string) =>
+    room.objects.find(object => objectNames(object).includes(name));
+
+type SimpleActionClass = new (
+    targetName: string,
+    targetAliases: string[],
+    effect: EventFunction<State>
+) => SimpleAction;
+
+const SIMPLE_VERBS: { [verb: string]: SimpleActionClass } = {
+    examine: ExamineAction,
+    smell: SmellAction,
+    touch: TouchAction,
+    taste: TasteAction,
+    drink: DrinkAction,
+    eat: EatAction,
+    open: OpenAction,
+    pickup: PickupAction,
+    drop: DropAction
+};
+
+const USE_VERBS: { [verb: string]: string[] } = { put: PUT_ALIASES };
+
+const isSensed = <R>(response: Response<R>): response is Sensed<R> =>
+    typeof response === "object" && "sense" in response;
+
+const isEffect = <R>(response: Response<R>): response is Effect<R> =>
+    typeof response === "object" && "effect" in response;
+
+const resolveText = <R>(game: GameInstance<State>, room: R, text: Text<R>) => {
+    const result = typeof text === "function" ? text(room, game) : text;
+    return typeof result === "string" ? [result] : result;
+};
+
+/** Turns a response into the effect of an action, given the objects it may reveal. */
+const respond = <R extends DefinedRoom>(
+    _room: R,
+    response: Response<R>,
+    reveal: (room: R, game: GameInstance<State>, names: string[]) => void
+): EventFunction<State> => game => {
+    const room = game.using(_room);
+
+    if (isEffect(response)) {
+        const next = response.effect(room, game);
+        reveal(room, game, response.reveals || []);
+        return next || noop;
+    }
+
+    if (isSensed(response)) {
+        const perceptions: Perceptions = {};
+        for (const level of Object.keys(response.levels).map(Number)) {
+            perceptions[level] = _game =>
+                resolveText(_game, _game.using(_room), response.levels[level]);
+        }
+        game.output.writeNormal(...perceive(game, response.sense, perceptions));
+        return noop;
+    }
+
+    game.output.writeNormal(...resolveText(game, room, response));
+    return noop;
+};
+
+/** Returns the objects in or on a container, in the order they were defined. */
+export const objectsIn = (room: DefinedRoom, container: string) =>
+    room.objects.filter(object => object.location === container);
+
+/** Describes an object as one of a list, as in "3 nails", "a cookie" or "the left cup". */
+const countObject = (object: GameObject) => {
+    if (object.quantity > 1) {
+        return `${object.quantity} ${object.plural}`;
+    }
+    if (object.plural !== undefined) {
+        return `one ${object.noun}`;
+    }
+    return object.adjectives.length > 0
+        ? `the ${object.name}`
+        : `a ${object.name}`;
+};
+
+/**
+ * Describes what's in or on a container, as in "There are 3 nails and a
+ * cookie". Returns `undefined` if there's nothing there.
+ */
+export const describeContents = (room: DefinedRoom, container: string) => {
+    const contents = objectsIn(room, container);
+    if (contents.length === 0) {
+        return undefined;
+    }
+
+    const names = contents.map(countObject);
+    const last = names.pop();
+    const list = names.length > 0 ? `${names.join(", ")} and ${last}` : last;
+    const plural = contents.length > 1 || contents[0].quantity > 1;
+    return `There ${plural ? "are" : "is"} ${list}`;
+};
+
+/** Describes an object as in "the cup" or "the nails". */
+const describeObject = (object: GameObject) =>
+    `the ${object.quantity > 1 ? object.plural : object.name}`;
+
+const takeObject = (game: GameInstance<State>, object: GameObject) => {
+    if (object.location === NOWHERE) {
+        failCommand(
+            game,
+            object.plural === undefined
+                ? `There's no ${object.name} left to pick up.`
+                : `There aren't any ${object.plural} left to pick up.`
+        );
+        return;
+    }
+
+    game.output.writeNormal(`You pick up ${describeObject(object)}.`);
+    object.location = HELD;
+    addItem(game, object);
+};
+
+/** Moves an object from the player's hands into a container. */
+const putObject = (
+    game: GameInstance<State>,
+    object: GameObject,
+    container: GameObject
+) => {
+    removeItem(game, object.name);
+    object.location = container.name;
+
+    const back = container.name === object.home ? "back " : "";
+    game.output.writeNormal(
+        `You put ${describeObject(object)} ${back}${container.container} the ${
+            container.name
+        }.`
+    );
+};
+
+/** Puts a held object back where it started. */
+export const dropObject = (
+    game: GameInstance<State>,
+    room: DefinedRoom,
+    object: GameObject
+) => {
+    if (object.location !== HELD) {
+        failCommand(
+            game,
+            `You have to be holding the ${
+                objectNames(object)[0]
+            } before you can do that.`
+        );
+        return;
+    }
+
+    putObject(game, object, findObject(room, object.home));
+};
+
+/**
+ * Builds a `Room` from its definition. The room's state flags become its
+ * properties. Its objects are built when the player begins it, and each
+ * object's actions are added once it's in scope.
+ */
+export const defineRoom = <F>(definition: RoomDefinition<F>) => {
+    type R = DefinedRoom & F;
+    const verbAliases = { ...USE_VERBS, ...definition.verbs };
+
+    for (const object of definition.objects) {
+        const verbs = Object.keys(object.verbs || {}).concat(
+            (object.uses || []).map(use => use.verb)
+        );
+        for (const verb of verbs) {
+            if (SIMPLE_VERBS[verb] === undefined && !verbAliases[verb]) {
+                throw new RegalError(
+                    `The verb '${verb}' used by '${object.name}' in '${
+                        definition.name
+                    }' isn't defined.`
+                );
+            }
+        }
+    }
+
+    /**
+     * Refuses to reach into a container that's closed, like a shut drawer.
+     * Returns whether the player was refused.
+     */
+    const isClosed = (room: R, game: GameInstance<State>, location: string) => {
+        const idx = room.objects.findIndex(
+            object => object.container !== undefined && object.name === location
+        );
+        const isOpen = idx === -1 ? undefined : definition.objects[idx].isOpen;
+        if (isOpen === undefined || isOpen(room)) {
+            return false;
+        }
+
+        failCommand(game, `The ${location} is closed.`);
+        return true;
+    };
+
+    /** Builds the actions of the object at `idx`, once it comes into scope. */
+    const objectActions = (_room: R, idx: number): Array<Action<any>> => {
+        const object = _room.objects[idx];
+        const { description, verbs = {}, uses = [] } = definition.objects[idx];
+        const [name, ...aliases] = objectNames(object);
+        const actions: Array<Action<any>> = [];
+
+        if (description !== undefined) {
+            actions.push(
+                new ExamineAction(
+                    name,
+                    aliases,
+                    respond(_room, description, reveal)
+                )
+            );
+        }
+
+        for (const verb of Object.keys(verbs)) {
+            const effect = respond(_room, verbs[verb], reveal);
+            actions.push(
+                SIMPLE_VERBS[verb] !== undefined
+                    ? new SIMPLE_VERBS[verb](name, aliases, effect)
+                    : new SimpleAction(
+                          verb,
+                          verbAliases[verb],
+                          name,
+                          aliases,
+                          effect
+                      )
+            );
+        }
+
+        if (object.portable) {
+            actions.push(
+                new PickupAction(name, aliases, game => {
+                    const held = game.using(object);
+                    if (!isClosed(game.using(_room), game, held.location)) {
+                        takeObject(game, held);
+                    }
+                }),
+                new DropAction(name, aliases, game =>
+                    dropObject(game, game.using(_room), game.using(object))
+                )
+            );
+        }
+
+        for (const use of uses) {
+            const target = findObject(_room, use.on);
+            const targetNames =
+                target === undefined ? [use.on] : objectNames(target);
+
+            actions.push(
+                new SubjectObjectAction(
+                    use.verb,
+                    verbAliases[use.verb],
+                    name,
+                    aliases,
+                    targetNames[0],
+                    targetNames.slice(1).concat(use.onAliases || []),
+                    use.holding !== false,
+                    respond(_room, use.response, reveal),
+                    use.preposition
+                )
+            );
+        }
+
+        if (object.portable) {
+            for (const container of _room.objects) {
+                if (
+                    container.container === undefined ||
+                    container.name === object.name
+                ) {
+                    continue;
+                }
+
+                const [containerName, ...containerAliases] = objectNames(
+                    container
+                );
+                actions.push(
+                    new SubjectObjectAction(
+                        "put",
+                        PUT_ALIASES,
+                        name,
+                        aliases,
+                        containerName,
+                        containerAliases,
+                        true,
+                        game => {
+                            const target = game.using(container);
+                            const room = game.using(_room);
+                            if (!isClosed(room, game, target.name)) {
+                                putObject(game, game.using(object), target);
+                            }
+                        },
+                        container.container
+                    )
+                );
+            }
+        }
+
+        return actions;
+    };
+
+    const register = (room: R, game: GameInstance<State>, idx: number) =>
+        addActions(
+            game,
+            objectGroup(room.objects[idx]),
+            objectActions(room, idx)
+        );
+
+    const reveal = (room: R, game: GameInstance<State>, names: string[]) => {
+        for (const name of names.filter(n => !room.revealed.includes(n))) {
+            room.revealed.push(name);
+            register(
+                room,
+                game,
+                room.objects.findIndex(object =>
+                    objectNames(object).includes(name)
+                )
+            );
+        }
+    };
+
+    const describe = on(`DESCRIBE ROOM <${definition.name}>`, game => {
+        game.output.writeNormal(...definition.description);
+    });
+
+    const begin = (_room: Room) =>
+        on(`BEGIN ROOM <${definition.name}>`, game => {
+            const room = game.using(_room as R);
+            // Arrays are copied, since the agents take ownership of them
+            room.objects = definition.objects.map(
+                object =>
+                    new GameObject(
+                        object.name,
+                        [...(object.adjectives || [])],
+                        [...(object.aliases || [])],
+                        object.location || "room",
+                        object.portable === true,
+                        object.container,
+                        object.quantity,
+                        object.plural
+                    )
+            );
+
+            room.groups = [...room.groups, ...room.objects.map(objectGroup)];
+
+            if (definition.setup !== undefined) {
+                definition.setup(room, game);
+            }
+
+            definition.objects.forEach((object, idx) => {
+                if (!object.hidden) {
+                    register(room, game, idx);
+                }
+            });
+
+            if (definition.hints !== undefined) {
+                addActions(game, `room:${definition.name}`, [
+                    hintAction(definition.hints)
+                ]);
+            }
+
+            game.output.writeNormal("You may begin.");
+        });
+
+    return class extends DefinedRoom {
+        constructor() {
+            super(definition.name, describe, begin);
+            Object.assign(this, definition.state());
+        }
+    } as new () => R;
+};
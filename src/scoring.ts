@@ -0,0 +1,127 @@
+import { Agent, GameInstance } from "regal";
+import { abilityList } from "./agents";
+import { on, simpleCap, State } from "./common";
+
+export const IN_PROGRESS = "in progress";
+export const PASSED = "passed";
+export const DECEASED = "deceased";
+
+const COMPLETION_POINTS = 100;
+const EXPERIMENT_POINTS = 10;
+const HAZARD_PENALTY = 25;
+const HINT_PENALTY = 5;
+/** Points for each ability point the player still has after the sacrifice. */
+const ABILITY_POINTS = 5;
+/** Each command under par that acts on something earns a point. */
+const COMMAND_PAR = 20;
+
+/**
+ * The Pando Corporation's record of the player's run through a chamber.
+ * `experiments` and `hazards` hold short descriptions, like "the nail test"
+ * or "drank the acid", and each is only recorded once.
+ */
+export class Evaluation extends Agent {
+    public commands = 0;
+    public experiments: string[] = [];
+    public hazards: string[] = [];
+    public hintsUsed = 0;
+    public outcome = IN_PROGRESS;
+
+    constructor(public chamber: string, public abilityPoints: number) {
+        super();
+    }
+}
+
+/** Starts evaluating a chamber, once the sacrifice for it has been made. */
+export const startEvaluation = (game: GameInstance<State>, chamber: string) => {
+    const points = abilityList(game.state.abilities)
+        .map(ability => ability.currentValue)
+        .reduce((a, b) => a + b, 0);
+
+    game.state.evaluations.push(new Evaluation(chamber, points));
+};
+
+/** Returns the evaluation of the chamber the player is in, if it's still going. */
+const currentEvaluation = (game: GameInstance<State>) =>
+    game.state.evaluations.find(e => e.outcome === IN_PROGRESS);
+
+export const recordCommand = (game: GameInstance<State>) => {
+    const evaluation = currentEvaluation(game);
+    if (evaluation !== undefined) {
+        evaluation.commands++;
+    }
+};
+
+export const recordExperiment = (game: GameInstance<State>, name: string) => {
+    const evaluation = currentEvaluation(game);
+    if (evaluation !== undefined && !evaluation.experiments.includes(name)) {
+        evaluation.experiments.push(name);
+    }
+};
+
+export const recordHazard = (game: GameInstance<State>, name: string) => {
+    const evaluation = currentEvaluation(game);
+    if (evaluation !== undefined && !evaluation.hazards.includes(name)) {
+        evaluation.hazards.push(name);
+    }
+};
+
+/**
+ * Records that the player asked for a hint, unless they've already used all
+ * `available` hints, and returns how many they've used in the chamber.
+ */
+export const recordHint = (game: GameInstance<State>, available: number) => {
+    const evaluation = currentEvaluation(game);
+    if (evaluation === undefined) {
+        return 1;
+    }
+    if (evaluation.hintsUsed < available) {
+        evaluation.hintsUsed++;
+    }
+    return evaluation.hintsUsed;
+};
+
+export const scoreEvaluation = (evaluation: Evaluation) =>
+    Math.max(
+        0,
+        (evaluation.outcome === PASSED ? COMPLETION_POINTS : 0) +
+            EXPERIMENT_POINTS * evaluation.experiments.length -
+            HAZARD_PENALTY * evaluation.hazards.length -
+            HINT_PENALTY * evaluation.hintsUsed +
+            ABILITY_POINTS * evaluation.abilityPoints +
+            Math.max(0, COMMAND_PAR - evaluation.commands)
+    );
+
+export const totalScore = (game: GameInstance<State>) =>
+    game.state.evaluations.map(scoreEvaluation).reduce((a, b) => a + b, 0);
+
+const describeList = (items: string[]) =>
+    items.length > 0 ? items.join(", ") : "none";
+
+/**
+ * Ends the evaluation of the current chamber with the given outcome and
+ * reports on it. Does nothing if the chamber was never begun.
+ */
+export const reportEvaluation = (outcome: string) =>
+    on("REPORT EVALUATION", game => {
+        const evaluation = currentEvaluation(game);
+        if (evaluation === undefined) {
+            return;
+        }
+
+        evaluation.outcome = outcome;
+
+        game.output.writeMajor(
+            `Pando Corporation evaluation: ${evaluation.chamber}`
+        );
+        game.output.writeNormal(
+            `Outcome: ${simpleCap(outcome)}`,
+            `Commands used: ${evaluation.commands}`,
+            `Experiments performed: ${describeList(evaluation.experiments)}`,
+            `Hazards triggered: ${describeList(evaluation.hazards)}`,
+            `Hints used: ${evaluation.hintsUsed}`,
+            `Ability points after sacrifice: ${evaluation.abilityPoints}`,
+            `Chamber score: ${scoreEvaluation(evaluation)}`
+        );
+        game.output.writeMinor(`Running total: ${totalScore(game)}`);
+    });
@@ -0,0 +1,284 @@
+import { Game, GameInstance, GameResponse } from "regal";
+import { RESTART_ALIASES } from "./actions";
+import { abilityList } from "./agents";
+import { State } from "./common";
+import { normalize } from "./parser";
+
+/** Where a client keeps its saved games, keyed by slot name. */
+export interface SaveStorage {
+    read(slot: string): string | undefined;
+    write(slot: string, contents: string): void;
+    list(): string[];
+}
+
+/** A summary of a saved game, for listing saves without loading them. */
+export interface SaveMetadata {
+    slot: string;
+    chamber: string;
+    abilities: { [name: string]: string };
+    isAlive: boolean;
+    savedAt: string;
+}
+
+/**
+ * A saved game. Game instances hold functions, so they can't be serialized
+ * directly. Instead, a save holds the game's seed and every command that led
+ * to it, which rebuild the same instance when replayed.
+ */
+export interface SaveData {
+    seed: string;
+    commands: string[];
+    metadata: SaveMetadata;
+}
+
+/** What a client should show after some input. */
+export interface SessionResult {
+    /** Messages from the session itself, like "Game saved." */
+    messages: string[];
+    /** The game's response, if the input was sent to the game. */
+    response?: GameResponse;
+}
+
+/** When games are saved, and how the time is shown when they're listed. */
+export interface SaveClock {
+    now(): Date;
+    describe(date: Date): string;
+}
+
+const LOCAL_CLOCK: SaveClock = {
+    now: () => new Date(),
+    describe: date => date.toLocaleString()
+};
+
+const DEFAULT_SLOT = "default";
+
+/** Slots can end up as file names, so they're kept to letters, digits, `-` and `_`. */
+const SLOT_PATTERN = /^[\w-]+$/;
+
+const invalidSlot = (slot: string) =>
+    `Can't use '${slot}' as a save name. Use only letters, numbers, '-' and '_'.`;
+
+/** Parses a save, or returns `undefined` if it's corrupt or isn't a save at all. */
+const parseSave = (contents: string): SaveData | undefined => {
+    let data: SaveData;
+    try {
+        data = JSON.parse(contents);
+    } catch (e) {
+        return undefined;
+    }
+
+    const isSave =
+        typeof data === "object" &&
+        data !== null &&
+        typeof data.seed === "string" &&
+        Array.isArray(data.commands) &&
+        typeof data.metadata === "object";
+    return isSave ? data : undefined;
+};
+
+/**
+ * Returns the seed for the run after a restart, as in "abc/2" after "abc".
+ * The random numbers carry on within a game instance, so a restarted run
+ * gets its own seed, which replays it from the start.
+ */
+const nextSeed = (seed: string) => {
+    const match = /^(.*)\/(\d+)$/.exec(seed);
+    return match === null ? `${seed}/2` : `${match[1]}/${Number(match[2]) + 1}`;
+};
+
+/**
+ * A single player's run of the game. Keeps the instance left by every command
+ * for undoing them, and handles the commands that work outside of the game:
+ * `undo [N]`, `save [SLOT]`, `load [SLOT]` and `saves`. Restarting starts a
+ * new instance, with a new seed.
+ */
+export class Session {
+    /** The response to the start command. */
+    public start: GameResponse;
+
+    private history: GameInstance[];
+    private commands: string[] = [];
+
+    constructor(
+        private storage: SaveStorage,
+        seed?: string,
+        private clock: SaveClock = LOCAL_CLOCK,
+        /** Whether the game's debug output is shown. */
+        private debug = false
+    ) {
+        this.start = Game.postStartCommand(
+            seed === undefined ? { debug } : { seed, debug }
+        );
+        this.history = [this.start.instance];
+    }
+
+    public get instance() {
+        return this.history[this.history.length - 1];
+    }
+
+    /** Handles a line of input from the player. */
+    public input(cmd: string): SessionResult {
+        const [word, arg] = cmd.trim().split(/\s+/);
+
+        switch (word.toLocaleLowerCase()) {
+            case "undo":
+                return {
+                    messages: this.undo(arg === undefined ? 1 : Number(arg))
+                };
+            case "save":
+                return { messages: this.save(arg || DEFAULT_SLOT) };
+            case "load":
+                return { messages: this.load(arg || DEFAULT_SLOT) };
+            case "saves":
+                return { messages: this.listSaves() };
+        }
+
+        if (RESTART_ALIASES.includes(normalize(cmd))) {
+            return { messages: [], response: this.restart() };
+        }
+
+        const response = Game.postPlayerCommand(this.instance, cmd);
+        if (response.output.wasSuccessful) {
+            this.history.push(response.instance);
+            this.commands.push(cmd);
+        }
+        return { messages: [], response };
+    }
+
+    /** Starts a new run, which can't be undone back into the old one. */
+    public restart() {
+        const session = new Session(
+            this.storage,
+            nextSeed(this.instance.options.seed),
+            this.clock,
+            this.debug
+        );
+
+        this.start = session.start;
+        this.history = session.history;
+        this.commands = session.commands;
+        return this.start;
+    }
+
+    /** Takes back up to `count` commands. */
+    public undo(count: number) {
+        if (!Number.isInteger(count) || count < 1) {
+            return ["Usage: 'undo [NUMBER]'"];
+        }
+
+        let undone = 0;
+        while (undone < count && this.history.length > 1) {
+            const response = Game.postUndoCommand(this.instance);
+            if (!response.output.wasSuccessful) {
+                const blocked =
+                    "You can't undo a sacrifice. Sacrifices must be made.";
+                return undone === 0
+                    ? [blocked]
+                    : [...this.describeUndone(undone), blocked];
+            }
+            this.history.pop();
+            this.commands.pop();
+            undone++;
+        }
+
+        return this.describeUndone(undone);
+    }
+
+    public save(slot: string) {
+        if (!SLOT_PATTERN.test(slot)) {
+            return [invalidSlot(slot)];
+        }
+
+        const state = this.instance.state as State;
+        const abilities: { [name: string]: string } = {};
+
+        for (const ability of abilityList(state.abilities)) {
+            abilities[ability.name] = `${ability.currentValue}/${
+                ability.maxValue
+            }`;
+        }
+
+        const data: SaveData = {
+            seed: this.instance.options.seed,
+            commands: this.commands,
+            metadata: {
+                slot,
+                chamber: state.currentRoom.name,
+                abilities,
+                isAlive: state.isAlive,
+                savedAt: this.clock.now().toISOString()
+            }
+        };
+
+        this.storage.write(slot, JSON.stringify(data));
+        return [`Game saved to '${slot}'.`];
+    }
+
+    public load(slot: string) {
+        if (!SLOT_PATTERN.test(slot)) {
+            return [invalidSlot(slot)];
+        }
+
+        const contents = this.storage.read(slot);
+        if (contents === undefined) {
+            return [`There's no save called '${slot}'.`];
+        }
+
+        const data = parseSave(contents);
+        if (data === undefined) {
+            return [`The save '${slot}' is unreadable.`];
+        }
+
+        const session = new Session(
+            this.storage,
+            data.seed,
+            this.clock,
+            this.debug
+        );
+
+        for (const cmd of data.commands) {
+            const response = Game.postPlayerCommand(session.instance, cmd);
+            if (!response.output.wasSuccessful) {
+                return [`The save '${slot}' couldn't be loaded.`];
+            }
+            session.history.push(response.instance);
+            session.commands.push(cmd);
+        }
+
+        this.start = session.start;
+        this.history = session.history;
+        this.commands = session.commands;
+        return [`Loaded '${slot}'.`, describeSave(data.metadata, this.clock)];
+    }
+
+    public listSaves() {
+        const saves = this.storage.list().map(slot => {
+            const data = parseSave(this.storage.read(slot));
+            return data === undefined
+                ? `${slot}: Unreadable`
+                : describeSave(data.metadata, this.clock);
+        });
+
+        return saves.length > 0 ? saves : ["You don't have any saved games."];
+    }
+
+    private describeUndone(undone: number) {
+        return undone === 0
+            ? ["There's nothing to undo."]
+            : [`Undid ${undone} command${undone === 1 ? "" : "s"}.`];
+    }
+}
+
+export const describeSave = (
+    metadata: SaveMetadata,
+    clock: SaveClock = LOCAL_CLOCK
+) => {
+    const abilities = Object.keys(metadata.abilities)
+        .map(name => `${name} ${metadata.abilities[name]}`)
+        .join(", ");
+    const status = metadata.isAlive ? metadata.chamber : "Dead";
+
+    return `${metadata.slot}: ${status} (${abilities}), saved ${clock.describe(
+        new Date(metadata.savedAt)
+    )}`;
+};
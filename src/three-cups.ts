@@ -1,15 +1,22 @@
-import { Agent, Game, noop } from "regal";
+import { Agent, EventFunction, GameInstance, noop } from "regal";
+import { askWhich } from "./actions";
+import { HELD, NOWHERE } from "./agents";
+import { failCommand, safeShuffle, State } from "./common";
+import { completeChamber, die } from "./events";
+import { isHolding, removeItem } from "./inventory";
+import { perceive, Perceptions } from "./perception";
+import { removeGroup } from "./registry";
 import {
-    Action,
-    ExamineAction,
-    OpenAction,
-    PickupAction,
-    PutAction,
-    removeAction,
-    SubjectObjectAction
-} from "./actions";
-import { Room } from "./agents";
-import { on, safeShuffle } from "./common";
+    DefinedRoom,
+    defineRoom,
+    describeContents,
+    dropObject,
+    findObject,
+    ObjectDefinition,
+    objectGroup,
+    objectsIn
+} from "./rooms";
+import { recordExperiment, recordHazard } from "./scoring";
 
 class Cup extends Agent {
     public hasNail = false;
@@ -17,6 +24,10 @@ class Cup extends Agent {
     constructor(
         public name: string,
         public color: string,
+        public blurredColor: string,
+        public aura: string,
+        public scent: string,
+        public trail: string,
         public nailReaction: string,
         public afterNail: string
     ) {
@@ -24,378 +35,835 @@ class Cup extends Agent {
     }
 }
 
-const milk = new Cup(
-    "milk",
-    "some white liquid",
-    "The nail is enveloped by the white liquid.",
-    "You can't see the nail."
-);
-const water = new Cup(
-    "water",
-    "some clear liquid",
-    "The nails sinks to the bottom quickly.",
-    "The nail is sitting at the bottom."
-);
-const acid = new Cup(
-    "acid",
-    "some clear liquid",
-    "The liquid begins to bubble violently.",
-    "It's still fizzing. The nail appears to be dissolving."
-);
+// Cups are built fresh for every run, since drinking and pouring change them
+const buildCups = () => [
+    new Cup(
+        "milk",
+        "some white liquid",
+        "some pale liquid. It might be white, or maybe a faded yellow",
+        "The liquid gives off a faint chill, like it was just taken out of a refrigerator.",
+        "It smells like milk. Maybe a little close to its expiration date.",
+        "It came from a cow that was fed mostly grass. You're sure of it.",
+        "The nail is enveloped by the white liquid.",
+        "You can't see the nail."
+    ),
+    new Cup(
+        "water",
+        "some clear liquid",
+        "liquid. It appears clear, but then again, so are parts of the cup and counter",
+        "The liquid is perfectly still. It seems completely harmless.",
+        "It doesn't smell like anything.",
+        "There's the faintest trace of chlorine, like tap water.",
+        "The nails sinks to the bottom quickly.",
+        "The nail is sitting at the bottom."
+    ),
+    new Cup(
+        "acid",
+        "some clear liquid",
+        "liquid. It appears clear, but then again, so are parts of the cup and counter",
+        "Something about the aura of the liquid tells you it must be corrosive.",
+        "A sharp, stinging odor burns your nostrils. Whatever this is, it's strong.",
+        "The fumes are acidic. Hydrochloric, if you had to guess.",
+        "The liquid begins to bubble violently.",
+        "It's still fizzing. The nail appears to be dissolving."
+    )
+];
 
-const cupMoreDesc = (cup: Cup) => (cup.hasNail ? " " + cup.afterNail : "");
+const cupDirections = ["left", "middle", "right"];
+const cupNumbers = ["first", "second", "third"];
+
+/** What the player sees in place of each cup when their vision is at 1. */
+const fakeCups = {
+    left: "There is a coconut on the counter where the left cup should be.",
+    middle:
+        "The middle cup is a tall brass goblet. It's filled to the brim with sand.",
+    right:
+        "The right cup is a large seashell. Seawater sloshes around inside of it."
+};
+
+/** What the player smells in place of each cup when their smell is at 0. */
+const phantomScents = {
+    left: "You smell a freshly baked cake.",
+    middle: "You don't smell anything at all.",
+    right: "It smells like coconut and sunscreen."
+};
+
+/** What dipping a finger into each liquid feels like, by touch level. */
+const cupFeel: { [name: string]: Perceptions } = {
+    milk: {
+        0: "It feels like you're running your hand through warm sand.",
+        1: "The liquid feels warm and grainy.",
+        2: "The liquid is cool and slightly thick.",
+        3: "It's about the temperature of a refrigerator. A thin film clings to your fingertip."
+    },
+    water: {
+        0: "It feels like you're running your hand through warm sand.",
+        1: "The liquid feels thick and sticky, like honey.",
+        2: "The liquid is cool and thin.",
+        3: "It's room temperature, and perfectly smooth."
+    },
+    acid: {
+        0: "It feels like you're running your hand through warm sand.",
+        1: "The liquid feels pleasantly warm, like bathwater.",
+        2: "The liquid burns your skin! You yank your finger out and shake it off.",
+        3: "You can feel it eating away at the top layer of your skin."
+    }
+};
+
+/** What a taste of each liquid is like, by taste level. */
+const cupFlavor: { [name: string]: Perceptions } = {
+    milk: {
+        0: "It tastes like orange juice.",
+        1: "It tastes like milk.",
+        2: "Two percent, and a day or two away from spoiling."
+    },
+    water: {
+        0: "It tastes like coconut water.",
+        1: "It tastes like water.",
+        2: "Tap water, with a hint of chlorine."
+    },
+    acid: {
+        0: "It tastes sweet, like lemonade. Your tongue tingles strangely.",
+        1: "It's sour and searing! Your tongue starts to burn.",
+        2: "Hydrochloric acid. Definitely not something you should swallow."
+    }
+};
+
+const emptyCup = (cup: Cup) => {
+    cup.color = "no liquid";
+    cup.blurredColor = "nothing, as far as you can tell";
+    cup.aura = "A thin film of residue clings to the inside.";
+    cup.scent = "The empty cup smells faintly of whatever used to be inside.";
+    cup.trail = "A trace of the liquid still lingers on the rim.";
+    cup.afterNail = "The nail is sitting inside.";
+    cup.nailReaction = "The nail clinks against the glass.";
+};
+
+interface CupsState {
+    cups: Cup[];
+    drawerIsOpen: boolean;
+    /** The liquid the cookie was last dunked in, or "none". */
+    cookieDunkedIn: string;
+}
+
+type CupsRoom = DefinedRoom & CupsState;
+
+const drinkCup = (
+    game: GameInstance<State>,
+    cup: Cup,
+    dir: string
+): EventFunction<State> => {
+    if (cup.color === "no liquid") {
+        game.output.writeNormal(`The ${dir} cup is empty.`);
+        return noop;
+    }
+
+    game.output.writeNormal(`You take a big gulp from the ${dir} cup.`);
+    game.output.writeNormal(...perceive(game, "taste", cupFlavor[cup.name]));
 
-const cupActions = (cup: Cup, dir: string, num: string) => [
-    new ExamineAction(
-        `${dir} cup`,
-        [`${dir} glass`, `${num} cup`, `${num} glass`],
-        game => {
+    switch (cup.name) {
+        case "milk":
             game.output.writeNormal(
-                `The ${dir} cup is clear, probably made of glass. It contains ${
-                    cup.color
-                }.${cupMoreDesc(cup)}`
+                "It's cold and refreshing. You finish the rest of the cup."
             );
-        }
-    ),
-    new PickupAction(
-        `${dir} cup`,
-        [`${dir} glass`, `${num} cup`, `${num} glass`],
-        game => {
-            game.output.writeNormal(`You pick up the ${dir} cup.`);
-            game.state.holding = `${dir} cup`;
-
-            // Remove all available pour actions in favor of new one
-            removeAction(game, "pour 'cup' -> 'lock'", true);
-            removeAction(game, "pour 'left cup' -> 'lock'", true);
-            removeAction(game, "pour 'middle cup' -> 'lock'", true);
-            removeAction(game, "pour 'right cup' -> 'lock'", true);
-
-            game.state.availableActions.push(
-                ...[
-                    new PutAction(
-                        "cup",
-                        [
-                            "glass",
-                            `${dir} cup`,
-                            `${dir} glass`,
-                            `${num} cup`,
-                            `${num} glass`
-                        ],
-                        "down",
-                        ["back", "counter", "away"],
-                        _game => {
-                            _game.output.writeNormal(
-                                `You put the ${dir} cup back on the counter.`
-                            );
-                            _game.state.holding = undefined;
-                            removeAction(_game, "put 'cup' -> 'down'");
-                            removeAction(game, "pour 'cup' -> 'lock'");
-                        }
-                    ),
-                    new SubjectObjectAction(
-                        "pour",
-                        ["dump", "throw"],
-                        "cup",
-                        [
-                            "glass",
-                            `${dir} cup`,
-                            `${dir} glass`,
-                            `${num} cup`,
-                            `${num} glass`
-                        ],
-                        "lock",
-                        ["padlock", "pad lock", "door"],
-                        true,
-                        _game => {
-                            _game.output.writeNormal(
-                                `You pour out the ${dir} cup.`
-                            );
-
-                            if (cup.color !== "no liquid") {
-                                switch (cup.name) {
-                                    case "milk":
-                                        _game.output.write(
-                                            "The white liquid splashes onto the lock and door.",
-                                            "You get a feeling that this might give the lab an ant problem."
-                                        );
-                                        break;
-                                    case "water":
-                                        _game.output.write(
-                                            "The clear liquid spashes onto the lock and door."
-                                        );
-                                        break;
-                                    case "acid":
-                                        _game.output.write(
-                                            "As soon as the liquid hits the padlock, the metal hisses and starts to dissolve.",
-                                            "Within a few seconds, the padlock breaks apart and falls to the floor."
-                                        );
-                                        _game.output.writeMajor(
-                                            "This is the end of the demo. I hope you've enjoyed it, and check back soon for updates!"
-                                        );
-                                        break;
-                                }
-                            }
-
-                            if (cup.hasNail) {
-                                _game.output.writeNormal(
-                                    "The nail falls onto the floor."
-                                );
-                                cup.hasNail = false;
-                            }
-
-                            cup.color = "no liquid";
-                            cup.afterNail = "The nail is sitting inside.";
-                            cup.nailReaction =
-                                "The nail clinks against the glass.";
-
-                            removeAction(_game, "pour 'cup' -> 'lock'");
-                        }
-                    )
-                ]
+            break;
+        case "water":
+            game.output.writeNormal(
+                "You finish the rest of the cup. You feel a little more hydrated."
             );
+            break;
+        case "acid":
+            emptyCup(cup);
+            recordHazard(game, "drank the acid");
+            return die(
+                "Seconds later, a searing pain spreads down your throat and into your stomach.",
+                "You drop to your knees. The room starts to spin, and the cup shatters on the floor beside you."
+            );
+    }
+
+    emptyCup(cup);
+    return noop;
+};
+
+const pourCup = (
+    game: GameInstance<State>,
+    cup: Cup,
+    dir: string
+): EventFunction<State> => {
+    game.output.writeNormal(`You pour out the ${dir} cup.`);
+
+    const unlocksDoor = cup.color !== "no liquid" && cup.name === "acid";
+
+    if (cup.hasNail) {
+        game.output.writeNormal("The nail falls onto the floor.");
+        cup.hasNail = false;
+    }
+
+    if (cup.color !== "no liquid") {
+        switch (cup.name) {
+            case "milk":
+                game.output.write(
+                    "The white liquid splashes onto the lock and door.",
+                    "You get a feeling that this might give the lab an ant problem."
+                );
+                break;
+            case "water":
+                game.output.write(
+                    "The clear liquid spashes onto the lock and door."
+                );
+                break;
+            case "acid":
+                game.output.write(
+                    "As soon as the liquid hits the padlock, the metal hisses and starts to dissolve.",
+                    "Within a few seconds, the padlock breaks apart and falls to the floor.",
+                    "You pull the heavy door open and step through."
+                );
+                break;
         }
-    ),
-    // This will never run. It's just here to hint that pouring is possible.
-    new SubjectObjectAction(
-        "pour",
-        ["dump", "throw"],
-        `${dir} cup`,
-        [`${dir} glass`, `${num} cup`, `${num} glass`],
-        "lock",
-        ["padlock", "pad lock", "door"],
-        true,
-        noop
-    )
-];
+    }
 
-const describeFunc = on("DESCRIBE ROOM <Three Cups>", game => {
-    game.output.writeNormal(
-        "The room is small and sterile, with a waist-high counter in the center.",
-        "On it are three unlabeled glass cups. They appear to be filled with liquid.",
-        "The counter has a drawer underneath.",
-        "On the opposite wall, there is a padlocked door."
-    );
-});
+    emptyCup(cup);
 
-const nailActions = (room: ThreeCups) => [
-    new ExamineAction("nails", ["nail"], game => {
-        game.output.writeNormal(
-            "Each nail is a dull metal, with slight discolorations of rust."
+    return unlocksDoor ? completeChamber : noop;
+};
+
+/**
+ * Runs an effect on whichever cup the player is holding. If they're holding
+ * more than one, asks which cup `command` should be completed with.
+ */
+const withHeldCup = (
+    game: GameInstance<State>,
+    room: CupsRoom,
+    command: (cupName: string) => string,
+    effect: (cup: Cup, dir: string) => EventFunction<State> | void
+): EventFunction<State> | void => {
+    const held = cupDirections.filter(d => isHolding(game, [`${d} cup`]));
+
+    if (held.length === 0) {
+        failCommand(game, "You aren't holding a cup.");
+        return noop;
+    }
+    if (held.length > 1) {
+        return askWhich(
+            held.map(d => ({
+                noun: "cup",
+                name: `${d} cup`,
+                command: command(`${d} cup`)
+            }))
         );
-    }),
-    new PickupAction("nails", ["3 nails", "2 nails"], game => {
-        if (room.nailsInDrawer === 1) {
-            game.output.writeNormal("You pick up the nail.");
-            game.state.holding = "nail";
-        } else {
-            game.output.writeNormal("You pick up the nails.");
-            game.state.holding = `${room.nailsInDrawer} nails`;
-
-            game.state.availableActions.push(
-                ...[
-                    new PutAction(
-                        "nails",
-                        ["3 nails", "2 nails"],
-                        "down",
-                        ["back", "drawer", "counter", "away"],
-                        _game => {
-                            _game.output.writeNormal(
-                                "You put the nails back in the drawer."
-                            );
+    }
 
-                            room.nailsInDrawer = Number.parseInt(
-                                _game.state.holding.split(" ")[0],
-                                10
-                            ); // yikes
+    const dir = held[0];
+    return effect(room.cups[cupDirections.indexOf(dir)], dir);
+};
 
-                            _game.state.holding = undefined;
-                            removeAction(_game, "put 'nails' -> 'down'");
-                            removeAction(_game, "put 'nails' -> 'cups'");
-                        }
-                    ),
-                    new PutAction(
-                        "nails",
-                        ["3 nails", "2 nails"],
-                        "cups",
-                        ["glasses", "each cup", "each glass"],
-                        _game => {
-                            _game.output.writeNormal(
-                                `You drop a nail in the left cup. ${
-                                    room.cups[0].nailReaction
-                                }`
-                            );
-                            _game.output.writeNormal(
-                                `You drop a nail in the middle cup. ${
-                                    room.cups[1].nailReaction
-                                }`
-                            );
-                            _game.output.writeNormal(
-                                `You drop a nail in the right cup. ${
-                                    room.cups[2].nailReaction
-                                }`
-                            );
+const cupMoreDesc = (cup: Cup) => (cup.hasNail ? " " + cup.afterNail : "");
 
-                            room.cups.forEach(cup => (cup.hasNail = true));
+/** Where a cup is, if it's been moved off the counter, as in " in the drawer". */
+const describeCupLocation = (room: CupsRoom, dir: string) => {
+    const { location } = findObject(room, `${dir} cup`);
+    if (location === "counter") {
+        return "";
+    }
+    if (location === HELD) {
+        return " in your hand";
+    }
 
-                            room.nailsInDrawer = Number.parseInt(
-                                _game.state.holding.split(" ")[0],
-                                10
-                            ); // yikes
+    const container = findObject(room, location);
+    return ` ${container.container} the ${container.name}`;
+};
 
-                            _game.state.holding = undefined;
-                            removeAction(_game, "put 'nails' -> 'down'");
-                            removeAction(_game, "put 'nails' -> 'cups'");
-                            removeAction(_game, "pickup 'nails'");
-                        }
-                    )
-                ]
-            );
-        }
-        room.nailsInDrawer = 0;
-    })
-];
+/** Describes each cup in the room on its own line, as in "The left cup: ...". */
+const describeCups = (room: CupsRoom, describe: (cup: Cup) => string) =>
+    room.cups.map(
+        (cup, idx) =>
+            `The ${cupDirections[idx]} cup${describeCupLocation(
+                room,
+                cupDirections[idx]
+            )}${describe(cup)}`
+    );
 
-const cookieActions = (room: ThreeCups) => [
-    new ExamineAction("cookie", [], game => {
-        game.output.writeNormal("Seems like chocolate chip.");
-    }),
-    new PickupAction("cookie", [], game => {
-        game.output.writeNormal("You pick up the cookie.");
-        room.cookieInDrawer = false;
-    })
-];
+const cupsAreOnCounter = (room: CupsRoom) =>
+    cupDirections.every(
+        dir => findObject(room, `${dir} cup`).location === "counter"
+    );
 
-const describeDrawer = (room: ThreeCups) => {
-    let contentStr: string;
+const describeCupsIntro = (room: CupsRoom) =>
+    cupsAreOnCounter(room)
+        ? "Three glass cups sit in a row on the countertop. Each is about halfway full of some liquid."
+        : "There are three glass cups. Each is about halfway full of some liquid.";
 
-    if (!room.cookieInDrawer && room.nailsInDrawer === 0) {
-        contentStr = "There's nothing left inside.";
-    } else {
-        if (room.nailsInDrawer > 0) {
-            if (room.nailsInDrawer > 1) {
-                contentStr = `There are ${room.nailsInDrawer} nails`;
-            } else {
-                contentStr = "There is one nail";
+/** What a burst of inspiration tells the player about the cups, at cognition 4. */
+const sizeUpCups = (game: GameInstance<State>) =>
+    perceive(game, "cognition", {
+        4: "You can tell that two of the cups are harmless, and one is dangerous."
+    });
+
+const sizeUpCup = (game: GameInstance<State>, cup: Cup) =>
+    perceive(game, "cognition", {
+        4: `You can tell that this one is ${
+            cup.name === "acid" ? "dangerous" : "harmless"
+        }.`
+    });
+
+const describeCounter = (room: CupsRoom) => {
+    if (cupsAreOnCounter(room) && objectsIn(room, "counter").length === 3) {
+        return "It has three glass cups sitting on top of it, and a small drawer at waist height.";
+    }
+
+    const contents = describeContents(room, "counter");
+    return `${
+        contents === undefined ? "There's nothing" : contents
+    } on top of it, and a small drawer at waist height.`;
+};
+
+const cupObject = (dir: string, idx: number): ObjectDefinition<CupsRoom> => ({
+    name: "cup",
+    adjectives: [dir, cupNumbers[idx]],
+    aliases: ["glass", "liquid"],
+    location: "counter",
+    portable: true,
+    description: {
+        sense: "vision",
+        levels: {
+            0: "There is a palm tree with coconuts.",
+            1: fakeCups[dir],
+            2: (room, game) => [
+                `The ${dir} cup is clear, probably made of glass. It contains ${
+                    room.cups[idx].blurredColor
+                }.${cupMoreDesc(room.cups[idx])}`,
+                ...sizeUpCup(game, room.cups[idx])
+            ],
+            3: (room, game) => [
+                `The ${dir} cup is clear, probably made of glass. It contains ${
+                    room.cups[idx].color
+                }.${cupMoreDesc(room.cups[idx])}`,
+                ...sizeUpCup(game, room.cups[idx])
+            ],
+            4: room => room.cups[idx].aura
+        }
+    },
+    verbs: {
+        smell: {
+            sense: "smell",
+            levels: {
+                0: phantomScents[dir],
+                1: room => room.cups[idx].scent,
+                2: room => room.cups[idx].trail
+            }
+        },
+        touch: (room, game) => {
+            const cup = room.cups[idx];
+            if (cup.color === "no liquid") {
+                return "The glass is smooth and cool. There's nothing left inside to touch.";
+            }
+            return [
+                `You dip a finger into the ${dir} cup.`,
+                ...perceive(game, "touch", cupFeel[cup.name])
+            ];
+        },
+        taste: (room, game) => {
+            const cup = room.cups[idx];
+            if (cup.color === "no liquid") {
+                return `The ${dir} cup is empty.`;
+            }
+            if (cup.name === "acid") {
+                recordHazard(game, "tasted the acid");
             }
 
-            if (room.cookieInDrawer) {
-                contentStr += " and a cookie inside.";
-            } else {
-                contentStr += " inside.";
+            return [
+                `You take a tiny taste of the ${dir} cup.`,
+                ...perceive(game, "taste", cupFlavor[cup.name])
+            ];
+        },
+        drink: {
+            effect: (room, game) => drinkCup(game, room.cups[idx], dir)
+        }
+    },
+    uses: [
+        {
+            verb: "pour",
+            on: "lock",
+            onAliases: ["padlock", "pad lock", "door"],
+            response: {
+                effect: (room, game) => pourCup(game, room.cups[idx], dir)
             }
-        } else {
-            contentStr = "There is a cookie inside.";
         }
+    ]
+});
+
+/** How the cookie tastes, depending on what it was last dunked in. */
+const cookieFlavor: { [dunkedIn: string]: Perceptions } = {
+    none: {
+        0: "It tastes like sawdust and pennies.",
+        1: "It's a decent chocolate chip cookie, if a little stale.",
+        2: "Semi-sweet chocolate, brown sugar and a pinch of sea salt. Stale, but made with care."
+    },
+    milk: {
+        0: "It tastes like wet cardboard.",
+        1: "The milk has softened it up nicely. Much better.",
+        2: "The milk has soaked into every crumb, and the chocolate has gone soft and melty."
+    },
+    water: {
+        0: "It tastes like seaweed.",
+        1: "It's soggy and bland. The water didn't do it any favors.",
+        2: "Soggy, bland, and faintly chlorinated."
+    },
+    acid: {
+        0: "It tastes like lemon cake.",
+        1: "It's sour and searing! Your tongue starts to burn.",
+        2: "It's soaked through with hydrochloric acid."
+    }
+};
+
+const dunkCookie = (game: GameInstance<State>, room: CupsRoom, idx: number) => {
+    const cup = room.cups[idx];
+    const dir = cupDirections[idx];
+
+    if (cup.color === "no liquid") {
+        game.output.writeNormal(
+            `The ${dir} cup is empty. There's nothing to dunk the cookie in.`
+        );
+        return;
+    }
+
+    game.output.writeNormal(`You dunk the cookie in the ${dir} cup.`);
+
+    switch (cup.name) {
+        case "milk":
+            game.output.writeNormal("It soaks up the white liquid.");
+            break;
+        case "water":
+            game.output.writeNormal(
+                "It gets soggy and starts to fall apart at the edges."
+            );
+            break;
+        case "acid":
+            game.output.writeNormal(
+                "The liquid fizzes around it.",
+                ...perceive(game, "touch", {
+                    1: "The liquid feels pleasantly warm on your fingers.",
+                    2: "Your fingertips sting where the liquid touched them."
+                })
+            );
+            break;
     }
 
-    return contentStr;
+    room.cookieDunkedIn = cup.name;
+    recordExperiment(game, "the cookie dunk");
 };
 
-const openDrawer = (room: ThreeCups) =>
-    new OpenAction("drawer", ["knob"], game => {
-        room.drawerIsOpen = true;
+const eatCookie = (
+    game: GameInstance<State>,
+    room: CupsRoom
+): EventFunction<State> => {
+    game.output.writeNormal(
+        "You eat the cookie.",
+        ...perceive(game, "taste", cookieFlavor[room.cookieDunkedIn])
+    );
+
+    // Once it's eaten, there's nothing left to do with the cookie
+    const cookie = findObject(room, "cookie");
+    removeItem(game, "cookie");
+    cookie.location = NOWHERE;
+    removeGroup(game, objectGroup(cookie));
+
+    if (room.cookieDunkedIn === "acid") {
+        recordHazard(game, "ate an acid-soaked cookie");
+        return die(
+            "A burning sensation spreads through your mouth and down your throat.",
+            "The acid-soaked cookie eats away at you from the inside."
+        );
+    }
+
+    if (room.cookieDunkedIn === "milk") {
+        game.output.writeNormal(
+            game.state.abilities.taste.currentValue ===
+                game.state.abilities.taste.maxValue
+                ? "This might be the best cookie you've ever had. For a moment, you forget where you are."
+                : "Cookies and milk. It reminds you of being a kid."
+        );
+    }
+
+    return noop;
+};
 
-        const newActions = nailActions(room).concat(cookieActions(room));
+const putNailsInCups = (game: GameInstance<State>, room: CupsRoom) => {
+    const nails = findObject(room, "nails");
+    let dropped = 0;
 
-        game.output.writeNormal(`You open the drawer.`);
-        game.output.writeNormal(describeDrawer(room));
+    // Only the cups on the counter or in the player's hands can be reached
+    const reachable = cupDirections.filter(dir =>
+        ["counter", HELD].includes(findObject(room, `${dir} cup`).location)
+    );
+
+    room.cups.forEach((cup, idx) => {
+        if (
+            !reachable.includes(cupDirections[idx]) ||
+            cup.hasNail ||
+            nails.quantity === dropped
+        ) {
+            return;
+        }
 
-        const actions = game.state.availableActions;
-        removeAction(game, "open 'drawer'");
-        actions.push(...newActions);
-        actions.push(
-            new OpenAction("drawer", ["knob"], _game => {
-                _game.output.writeNormal("The drawer is already open.");
-            })
+        game.output.writeNormal(
+            `You drop a nail in the ${cupDirections[idx]} cup. ${
+                cup.nailReaction
+            }`
         );
+        cup.hasNail = true;
+        dropped++;
     });
 
-const beginFunc = (_room: ThreeCups) =>
-    on("BEGIN ROOM <Three Cups>", game => {
-        const room = game.using(_room);
-        const cups = safeShuffle(game.using([milk, water, acid]), game);
-        room.cups = cups;
+    if (dropped > 0) {
+        recordExperiment(game, "the nail test");
+    }
+
+    if (dropped === 0) {
+        game.output.writeNormal(
+            reachable.length < room.cups.length
+                ? "There's already a nail in every cup you can reach."
+                : "There's already a nail in every cup."
+        );
+    } else if (dropped === nails.quantity) {
+        removeItem(game, "nail");
+        nails.location = NOWHERE;
+    } else {
+        nails.quantity -= dropped;
+    }
+};
+
+const describeDrawer = (room: CupsRoom) => {
+    const contents = describeContents(room, "drawer");
+    return contents === undefined
+        ? "There's nothing left inside."
+        : `${contents} inside.`;
+};
 
-        game.state.availableActions.push(
-            ...[
-                new ExamineAction("counter", ["table"], _game => {
-                    _game.output.writeNormal(
+export class ThreeCups extends defineRoom<CupsState>({
+    name: "Three Cups",
+    description: [
+        "The room is small and sterile, with a waist-high counter in the center.",
+        "On it are three unlabeled glass cups. They appear to be filled with liquid.",
+        "The counter has a drawer underneath.",
+        "On the opposite wall, there is a padlocked door."
+    ],
+    state: () => ({
+        cups: [],
+        drawerIsOpen: false,
+        cookieDunkedIn: "none"
+    }),
+    verbs: {
+        pour: ["dump", "throw"],
+        dunk: ["dip", "soak"]
+    },
+    hints: {
+        opening: [
+            "The padlock is the only thing between you and the door. Is there anything in here that could get rid of it?",
+            "One of the cups is full of acid. If you can tell which one, you can pour it on the padlock."
+        ],
+        routes: [
+            {
+                requires: { vision: 4 },
+                hints: [
+                    "Your eyes are sharp enough to see more than just the color of the liquids.",
+                    "Examine the cups. One of them looks corrosive."
+                ]
+            },
+            {
+                requires: { vision: 2 },
+                hints: [
+                    "Take a good look at the liquids.",
+                    "Examine the cups. The acid is clear, so it's not the white one."
+                ]
+            },
+            {
+                requires: { smell: 1 },
+                hints: [
+                    "Your nose could tell the liquids apart.",
+                    "Smell the cups. Acid has a sharp, stinging odor."
+                ]
+            },
+            {
+                requires: { cognition: 4, vision: 2 },
+                hints: [
+                    "Trust your instincts. Your mind is sharp enough to sense danger.",
+                    "Examine each cup. You'll be able to tell which one is dangerous."
+                ]
+            },
+            {
+                requires: { touch: 2 },
+                hints: [
+                    "You could feel the liquids for yourself.",
+                    "Touch each cup. The acid will burn, but a fingertip won't kill you."
+                ]
+            },
+            {
+                hints: [
+                    "There's something in the drawer that you could test the cups with.",
+                    "Open the drawer and put the nails in the cups. The acid will react."
+                ]
+            }
+        ],
+        solution:
+            "Find the cup that reacts to a nail, pick it up and pour it on the padlock. Don't drink it."
+    },
+    setup: (room, game) => {
+        room.cups = safeShuffle(game.using(buildCups()), game);
+    },
+    objects: [
+        {
+            name: "counter",
+            aliases: ["table"],
+            container: "on",
+            description: {
+                sense: "vision",
+                levels: {
+                    0: "There is a stretch of white sand, warm from the sun.",
+                    1: "The counter is long and wooden, like a bar. Dozens of bottles line its surface, their labels too smeared to read.",
+                    2: room => [
+                        "The countertop is dark and matte, though its edges seem to ripple when you look at them directly.",
+                        describeCounter(room)
+                    ],
+                    3: room => [
                         "The countertop is dark and matte.",
-                        "It has three glass cups sitting on top of it, and a small drawer at waist height."
-                    );
-                }),
-                new ExamineAction("cups", ["glasses"], _game => {
-                    _game.output.writeNormal(
-                        "Three glass cups sit in a row on the countertop. Each is about halfway full of some liquid.",
-                        `The left cup contains ${cups[0].color}.${cupMoreDesc(
-                            cups[0]
-                        )}`,
-                        `The middle cup contains ${cups[1].color}.${cupMoreDesc(
-                            cups[1]
-                        )}`,
-                        `The right cup contains ${cups[2].color}.${cupMoreDesc(
-                            cups[2]
-                        )}`
-                    );
-                }),
-                ...cupActions(cups[0], "left", "first"),
-                ...cupActions(cups[1], "middle", "second"),
-                ...cupActions(cups[2], "right", "third"),
-                new ExamineAction("cup", ["glass"], _game =>
-                    _game.output.writeNormal("Which cup?")
-                ),
-                new PickupAction("cup", ["glass"], _game =>
-                    _game.output.writeNormal("Which cup?")
-                ),
-                new SubjectObjectAction(
-                    "pour",
-                    ["dump", "throw"],
-                    "cup",
-                    ["glass"],
-                    "lock",
-                    ["padlock", "pad lock", "door"],
-                    false,
-                    _game => _game.output.writeNormal("Which cup?")
-                ),
-                new ExamineAction("drawer", [], _game => {
-                    if (room.drawerIsOpen) {
-                        const drawerStr = describeDrawer(room);
-                        _game.output.writeNormal(
-                            `There drawer is open. ${drawerStr}`
-                        );
-                    } else {
-                        _game.output.writeNormal(
-                            "There's a small drawer in the front of the counter. It has a wooden knob."
-                        );
+                        describeCounter(room)
+                    ],
+                    4: "Faint rings on its surface show where dozens of other cups have been set down before."
+                }
+            }
+        },
+        {
+            name: "cups",
+            aliases: ["glasses"],
+            description: {
+                sense: "vision",
+                levels: {
+                    0: "There is a palm tree with coconuts.",
+                    1: [fakeCups.left, fakeCups.middle, fakeCups.right],
+                    2: (room, game) => [
+                        describeCupsIntro(room),
+                        ...describeCups(
+                            room,
+                            cup =>
+                                ` contains ${cup.blurredColor}.${cupMoreDesc(
+                                    cup
+                                )}`
+                        ),
+                        ...sizeUpCups(game)
+                    ],
+                    3: (room, game) => [
+                        describeCupsIntro(room),
+                        ...describeCups(
+                            room,
+                            cup => ` contains ${cup.color}.${cupMoreDesc(cup)}`
+                        ),
+                        ...sizeUpCups(game)
+                    ],
+                    4: room => describeCups(room, cup => `: ${cup.aura}`)
+                }
+            },
+            verbs: {
+                smell: {
+                    sense: "smell",
+                    levels: {
+                        0: "You smell a freshly baked cake.",
+                        1: room => describeCups(room, cup => `: ${cup.scent}`),
+                        2: room => describeCups(room, cup => `: ${cup.trail}`)
                     }
-                }),
-                new ExamineAction("door", [], _game => {
-                    _game.output.writeNormal(
+                }
+            }
+        },
+        {
+            name: "room",
+            aliases: ["around", "air"],
+            verbs: {
+                smell: {
+                    sense: "smell",
+                    levels: {
+                        0: "You smell a freshly baked cake.",
+                        1: "The place smells sterile, like a hospital.",
+                        2: "Humans were here once, you can smell them. Their scent is strongest near the door."
+                    }
+                }
+            }
+        },
+        ...cupDirections.map(cupObject),
+        {
+            name: "cup",
+            aliases: ["glass"],
+            verbs: {
+                drop: {
+                    effect: (room, game) =>
+                        withHeldCup(
+                            game,
+                            room,
+                            name => `put ${name} down`,
+                            (cup, dir) =>
+                                dropObject(
+                                    game,
+                                    room,
+                                    findObject(room, `${dir} cup`)
+                                )
+                        )
+                }
+            },
+            uses: [
+                {
+                    verb: "pour",
+                    on: "lock",
+                    onAliases: ["padlock", "pad lock", "door"],
+                    holding: false,
+                    response: {
+                        effect: (room, game) =>
+                            withHeldCup(
+                                game,
+                                room,
+                                name => `pour ${name} on lock`,
+                                (cup, dir) => pourCup(game, cup, dir)
+                            )
+                    }
+                }
+            ]
+        },
+        {
+            name: "drawer",
+            aliases: ["knob"],
+            container: "in",
+            isOpen: room => room.drawerIsOpen,
+            description: room =>
+                room.drawerIsOpen
+                    ? `There drawer is open. ${describeDrawer(room)}`
+                    : "There's a small drawer in the front of the counter. It has a wooden knob.",
+            verbs: {
+                open: {
+                    effect: (room, game) => {
+                        if (room.drawerIsOpen) {
+                            game.output.writeNormal(
+                                "The drawer is already open."
+                            );
+                            return;
+                        }
+
+                        room.drawerIsOpen = true;
+                        game.output.writeNormal(
+                            "You open the drawer.",
+                            describeDrawer(room)
+                        );
+                    },
+                    reveals: ["nails", "cookie"]
+                }
+            }
+        },
+        {
+            name: "door",
+            description: {
+                sense: "vision",
+                levels: {
+                    0: "There is a calm blue ocean, stretching all the way to the horizon.",
+                    1: "The door at the back of the room is made of rough wooden planks. It's hanging slightly open.",
+                    2: [
+                        "The door at the back of the room looks heavy.",
+                        "It's a dull grey, or maybe a shiny silver. The color seems to drift as you watch.",
+                        "A large padlock holds the door shut."
+                    ],
+                    3: [
                         "The door at the back of the room looks heavy.",
                         "It's a shiny silver, likely stainless steel.",
                         "A large padlock holds the door shut."
-                    );
-                }),
-                new ExamineAction("padlock", ["lock"], _game => {
-                    _game.output.writeNormal(
+                    ],
+                    4: "Scratches around the lock tell you many people have tried, and failed, to force it open."
+                }
+            }
+        },
+        {
+            name: "padlock",
+            aliases: ["lock"],
+            description: {
+                sense: "vision",
+                levels: {
+                    0: "There is a coconut lying in the sand.",
+                    1: "There is no padlock, just a length of rope tied in a loose knot.",
+                    2: [
+                        "The padlock is about the size of your fist, or maybe your head. It's hard to judge.",
+                        "It's metal, but it looks much older than the door."
+                    ],
+                    3: [
                         "The padlock is about the size of your fist.",
                         "It's metal, but it looks much older than the door."
-                    );
-                }),
-                openDrawer(room)
+                    ],
+                    4: "The metal looks brittle. Something reactive could probably eat right through it."
+                }
+            }
+        },
+        {
+            name: "nail",
+            plural: "nails",
+            quantity: 3,
+            location: "drawer",
+            portable: true,
+            hidden: true,
+            description:
+                "Each nail is a dull metal, with slight discolorations of rust.",
+            verbs: {
+                smell: {
+                    sense: "smell",
+                    levels: {
+                        0: "They smell like fresh-cut grass.",
+                        1: "They smell faintly metallic.",
+                        2: "You catch a hint of rust, and the oil from someone's hands."
+                    }
+                }
+            },
+            uses: [
+                {
+                    verb: "put",
+                    on: "cups",
+                    preposition: "in",
+                    onAliases: ["glasses", "each cup", "each glass"],
+                    response: {
+                        effect: (room, game) => putNailsInCups(game, room)
+                    }
+                }
             ]
-        );
-
-        game.output.writeNormal("You may begin.");
-    });
-
-export class ThreeCups extends Room {
-    public cups: Cup[];
-    public drawerIsOpen = false;
-    public nailsInDrawer = 3;
-    public cookieInDrawer = true;
-
-    constructor() {
-        super("Three Cups", describeFunc, beginFunc);
-    }
-}
+        },
+        {
+            name: "cookie",
+            location: "drawer",
+            portable: true,
+            hidden: true,
+            description: room =>
+                room.cookieDunkedIn !== "none"
+                    ? "Seems like chocolate chip. It's soggy from being dunked."
+                    : "Seems like chocolate chip.",
+            verbs: {
+                smell: {
+                    sense: "smell",
+                    levels: {
+                        0: "It smells like burning rubber.",
+                        1: "It smells like chocolate chip.",
+                        2: "It was baked about a week ago. Whoever made it used too much butter."
+                    }
+                },
+                taste: (room, game) => [
+                    "You nibble on the edge of the cookie.",
+                    ...perceive(
+                        game,
+                        "taste",
+                        cookieFlavor[room.cookieDunkedIn]
+                    )
+                ],
+                eat: { effect: (room, game) => eatCookie(game, room) }
+            },
+            uses: cupDirections.map((dir, idx) => ({
+                verb: "dunk",
+                on: `${dir} cup`,
+                preposition: "in",
+                response: {
+                    effect: (room: CupsRoom, game: GameInstance<State>) =>
+                        dunkCookie(game, room, idx)
+                }
+            }))
+        }
+    ]
+}) {}
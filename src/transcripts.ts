@@ -0,0 +1,251 @@
+/**
+ * Replays every command script in the `transcripts` directory and compares
+ * the game's output to the script's expected transcript, printing a diff of any
+ * differences.
+ *
+ * A script is either a `.txt` file with one command per line (blank lines and
+ * lines starting with `#` are skipped, `# seed: <SEED>` sets the seed and
+ * `# debug: on` shows debug output) or a `.json` file shaped like
+ * `{ "seed": "...", "commands": [...] }`, which may also hold `"debug": true`
+ * and `"saves": { "<SLOT>": "<CONTENTS>" }` to start with. Its expected
+ * transcript sits beside it, in a `.expected.txt` file. Games are always saved
+ * at the same time, so that listing them gives the same output.
+ *
+ * Run with `--update` to regenerate the expected transcripts.
+ */
+import * as fs from "fs";
+import * as path from "path";
+import { SaveClock, SaveStorage, Session } from ".";
+import { formatResponse } from "./output";
+
+const TRANSCRIPT_DIR = path.join(__dirname, "..", "transcripts");
+const EXPECTED_EXT = ".expected.txt";
+const DEFAULT_SEED = "now-hiring";
+
+interface Script {
+    seed: string;
+    commands: string[];
+    debug: boolean;
+    saves: { [slot: string]: string };
+}
+
+const FIXED_CLOCK: SaveClock = {
+    now: () => new Date("2018-12-01T12:00:00Z"),
+    describe: date => date.toISOString()
+};
+
+const findScripts = (dir: string): string[] =>
+    [].concat(
+        ...fs.readdirSync(dir).map(name => {
+            const file = path.join(dir, name);
+            if (fs.statSync(file).isDirectory()) {
+                return findScripts(file);
+            }
+            const isScript =
+                (name.endsWith(".txt") || name.endsWith(".json")) &&
+                !name.endsWith(EXPECTED_EXT);
+            return isScript ? [file] : [];
+        })
+    );
+
+const readScript = (file: string): Script => {
+    const contents = fs.readFileSync(file, "utf8");
+
+    if (file.endsWith(".json")) {
+        const json = JSON.parse(contents);
+        return {
+            seed: json.seed || DEFAULT_SEED,
+            commands: json.commands,
+            debug: json.debug === true,
+            saves: json.saves || {}
+        };
+    }
+
+    let seed = DEFAULT_SEED;
+    let debug = false;
+    const commands: string[] = [];
+
+    for (const line of contents.split(/\r?\n/).map(l => l.trim())) {
+        const seedMatch = /^#\s*seed:\s*(\S+)$/.exec(line);
+        if (seedMatch !== null) {
+            seed = seedMatch[1];
+        } else if (/^#\s*debug:\s*on$/.test(line)) {
+            debug = true;
+        } else if (line !== "" && !line.startsWith("#")) {
+            commands.push(line);
+        }
+    }
+
+    return { seed, commands, debug, saves: {} };
+};
+
+/** Keeps saves in memory, so that scripts can save and load without touching the disk. */
+const memoryStorage = (initial: { [slot: string]: string }): SaveStorage => {
+    const saves = { ...initial };
+    return {
+        read: slot => saves[slot],
+        write: (slot, contents) => {
+            saves[slot] = contents;
+        },
+        list: () => Object.keys(saves)
+    };
+};
+
+/** Plays a script and returns everything a player would have seen. */
+const play = (script: Script): string[] => {
+    const session = new Session(
+        memoryStorage(script.saves),
+        script.seed,
+        FIXED_CLOCK,
+        script.debug
+    );
+    const lines = formatResponse(session.start);
+
+    for (const cmd of script.commands) {
+        const result = session.input(cmd);
+        lines.push(`\n> ${cmd}`, ...result.messages);
+        if (result.response !== undefined) {
+            lines.push(...formatResponse(result.response));
+        }
+    }
+
+    return lines.join("\n").split("\n");
+};
+
+const expectedFile = (file: string) =>
+    file.replace(/\.(txt|json)$/, EXPECTED_EXT);
+
+/** How many unchanged lines to show around each change in a diff. */
+const CONTEXT_LINES = 2;
+
+interface DiffLine {
+    /** `" "` for a line in both transcripts, `"-"` for expected only and `"+"` for actual only. */
+    mark: " " | "-" | "+";
+    text: string;
+}
+
+/** Lines up two transcripts along their longest common subsequence of lines. */
+const diffLines = (expected: string[], actual: string[]): DiffLine[] => {
+    // common[i][j] is how many lines expected[i..] and actual[j..] have in common
+    const common = Array.from({ length: expected.length + 1 }, () =>
+        new Array<number>(actual.length + 1).fill(0)
+    );
+    for (let i = expected.length - 1; i >= 0; i--) {
+        for (let j = actual.length - 1; j >= 0; j--) {
+            common[i][j] =
+                expected[i] === actual[j]
+                    ? common[i + 1][j + 1] + 1
+                    : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines: DiffLine[] = [];
+    let e = 0;
+    let a = 0;
+    while (e < expected.length || a < actual.length) {
+        if (
+            e < expected.length &&
+            a < actual.length &&
+            expected[e] === actual[a]
+        ) {
+            lines.push({ mark: " ", text: expected[e++] });
+            a++;
+        } else if (
+            a === actual.length ||
+            (e < expected.length && common[e + 1][a] >= common[e][a + 1])
+        ) {
+            lines.push({ mark: "-", text: expected[e++] });
+        } else {
+            lines.push({ mark: "+", text: actual[a++] });
+        }
+    }
+    return lines;
+};
+
+/**
+ * Returns a unified diff of every difference between the transcripts, or
+ * `undefined` if there is none.
+ */
+const compare = (expected: string[], actual: string[]) => {
+    const lines = diffLines(expected, actual);
+    const changed = lines
+        .map((line, idx) => (line.mark === " " ? -1 : idx))
+        .filter(idx => idx !== -1);
+
+    if (changed.length === 0) {
+        return undefined;
+    }
+
+    const output: string[] = [];
+    let next = 0;
+
+    while (next < changed.length) {
+        // A hunk runs until the gap between two changes is too wide to share context
+        let last = next;
+        while (
+            last + 1 < changed.length &&
+            changed[last + 1] - changed[last] <= CONTEXT_LINES * 2 + 1
+        ) {
+            last++;
+        }
+
+        const from = Math.max(0, changed[next] - CONTEXT_LINES);
+        const to = Math.min(lines.length, changed[last] + CONTEXT_LINES + 1);
+        const before = lines.slice(0, from);
+        const hunk = lines.slice(from, to);
+        const count = (mark: string, within: DiffLine[]) =>
+            within.filter(line => line.mark === " " || line.mark === mark)
+                .length;
+
+        output.push(
+            `  @@ -${count("-", before) + 1},${count("-", hunk)} +${count(
+                "+",
+                before
+            ) + 1},${count("+", hunk)} @@`,
+            ...hunk.map(line => `  ${line.mark}${line.text}`)
+        );
+        next = last + 1;
+    }
+
+    return output.join("\n");
+};
+
+const update = process.argv.includes("--update");
+let failures = 0;
+
+for (const file of findScripts(TRANSCRIPT_DIR)) {
+    const name = path.relative(TRANSCRIPT_DIR, file);
+    const actual = play(readScript(file));
+
+    if (update) {
+        fs.writeFileSync(expectedFile(file), actual.join("\n") + "\n");
+        console.log(`Updated ${name}`);
+        continue;
+    }
+
+    if (!fs.existsSync(expectedFile(file))) {
+        failures++;
+        console.log(
+            `FAIL ${name}\n  No expected transcript. Run with --update to create one.`
+        );
+        continue;
+    }
+
+    const expected = fs
+        .readFileSync(expectedFile(file), "utf8")
+        .replace(/\n$/, "")
+        .split("\n");
+    const difference = compare(expected, actual);
+
+    if (difference === undefined) {
+        console.log(`PASS ${name}`);
+    } else {
+        failures++;
+        console.log(`FAIL ${name}\n${difference}`);
+    }
+}
+
+if (failures > 0) {
+    console.log(`\n${failures} transcript(s) failed.`);
+    process.exit(1);
+}
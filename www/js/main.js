@@ -1,32 +1,62 @@
-const Game = NowHiring.Game;
+const SAVE_PREFIX = "now-hiring-save:";
+const AUTOSAVE_SLOT = "autosave";
+
+// Keeps saved games in localStorage, so they survive a refresh
+const localSaves = {
+  read: slot => {
+    const contents = localStorage.getItem(SAVE_PREFIX + slot);
+    return contents === null ? undefined : contents;
+  },
+  write: (slot, contents) => localStorage.setItem(SAVE_PREFIX + slot, contents),
+  list: () => Object.keys(localStorage)
+    .filter(key => key.startsWith(SAVE_PREFIX))
+    .map(key => key.slice(SAVE_PREFIX.length))
+};
 
 let newGame = true;
-let response = Game.postStartCommand();
+// A `?seed=` parameter replays a run with the same puzzles
+const seed = new URLSearchParams(window.location.search).get("seed");
+// Sessions are built into now-hiring.js by 'npm run build'
+const session = NowHiring.Session === undefined
+  ? undefined
+  : new NowHiring.Session(localSaves, seed === null ? undefined : seed);
 
-const handleOut = (terminal) => {
+const handleOut = (response, terminal) => {
   if (response.output.wasSuccessful) {
     for (const line of response.output.log) {
       terminal.echo(line.data);
     }
   } else {
-    terminal.echo("Something went wrong. Please refresh the window.");
+    terminal.echo("Something went wrong. Please try again.");
   }
 }
 
 const doCommand = (cmd, terminal) => {
-  const tempResponse = Game.postPlayerCommand(response.instance, cmd);
-  if (tempResponse.output.wasSuccessful) {
-    response = tempResponse;
-    handleOut(terminal);
-  } else {
-    terminal.echo("Something went wrong. Please try again.")
+  const before = session.instance;
+  const result = session.input(cmd);
+  result.messages.forEach(message => terminal.echo(message));
+
+  if (result.response !== undefined) {
+    handleOut(result.response, terminal);
+  }
+
+  // A new run isn't autosaved until its first sacrifice, so that commands
+  // like 'saves' or 'help' after a refresh don't overwrite the previous run
+  const hasBegun = session.instance.state.evaluations.length > 0;
+  if (session.instance !== before && hasBegun) {
+    session.save(AUTOSAVE_SLOT);
   }
 }
 
 const terminalCommand = (cmd, terminal) => {
   terminal.echo(" ");
-  if (newGame) {
-    handleOut(terminal);
+  if (session === undefined) {
+    terminal.echo("This copy of the game is out of date. Run 'npm run build' and refresh the window.");
+  } else if (newGame) {
+    handleOut(session.start, terminal);
+    if (localSaves.read(AUTOSAVE_SLOT) !== undefined) {
+      terminal.echo(`Enter 'load ${AUTOSAVE_SLOT}' to pick up where you left off.`);
+    }
     newGame = false;
   } else {
     doCommand(cmd, terminal);